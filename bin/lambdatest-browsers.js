@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+'use strict';
+const { run } = require('../lib/cli/browsers');
+
+run(process.argv.slice(2))
+    .then((exitCode) => {
+        process.exitCode = exitCode;
+    })
+    .catch((err) => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
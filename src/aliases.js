@@ -0,0 +1,279 @@
+'use strict';
+import { closestMatches } from './suggest';
+
+const WILDCARD_VERSIONS = ['any'];
+const RELATIVE_VERSION_PATTERN = /^latest(?:-(\d+))?$/;
+const CHANNEL_VERSIONS = ['beta', 'dev'];
+const NUMERIC_VERSION_PATTERN = /^\d+(?:\.\d+)*$/;
+const MOBILE_PLATFORMS = ['android', 'ios'];
+const REAL_DEVICE_QUALIFIER = 'isreal';
+const ORIENTATION_QUALIFIERS = ['portrait', 'landscape'];
+const BROWSER_QUALIFIER_PATTERN = /^browser=(.*)$/i;
+
+const OS_NAME_PATTERNS = [
+    [/^win(?:dows)?\s*(\d+(?:\.\d+)?|xp|vista)$/, 'windows $1'],
+    [/^(?:mac\s*os(?:\s*x)?|os\s*x)\s*/, 'macos '],
+];
+
+const catalogIndexes = new WeakMap();
+
+/**
+ * Normalizes an OS name so that spelling variants of the same OS compare equal.
+ *
+ * @function normalizeOsName
+ *
+ * @param {string} os - The OS name, e.g. "Windows 10", "win10", "OS X El Capitan" or "macOS Sonoma".
+ *
+ * @returns {string} The normalized name, e.g. "windows 10", "macos el capitan" or "macos sonoma".
+ */
+function normalizeOsName (os) {
+    let name = os.trim().toLowerCase().replace(/\s+/g, ' ');
+
+    for (const [pattern, replacement] of OS_NAME_PATTERNS)
+        name = name.replace(pattern, replacement);
+
+    return name.trim();
+}
+
+/**
+ * Splits a browser alias into its parts. The qualifiers follow the OS, in any order.
+ *
+ * @function parseAlias
+ *
+ * @param {string} alias - The alias, formatted as "<name>[@<version>][:<os>][:isReal][:portrait|:landscape][:browser=<name>]".
+ *
+ * @returns {{ name: string, version: string, platform: string, isReal: boolean, orientation: string|null,
+ *          browser: string|null, base: string }} The alias parts. A missing version or OS is reported as "any".
+ *          `base` is the alias without the orientation and browser qualifiers.
+ */
+function parseAlias (alias) {
+    const [nameAndVersion, ...platformParts] = alias.split(':');
+
+    let isReal = false;
+
+    let orientation = null;
+
+    let browser = null;
+
+    while (platformParts.length > 1) {
+        const qualifier = platformParts[platformParts.length - 1].trim();
+        const browserQualifier = BROWSER_QUALIFIER_PATTERN.exec(qualifier);
+
+        if (!isReal && qualifier.toLowerCase() === REAL_DEVICE_QUALIFIER) isReal = true;
+        else if (!orientation && ORIENTATION_QUALIFIERS.includes(qualifier.toLowerCase())) orientation = qualifier.toLowerCase();
+        else if (browser === null && browserQualifier) browser = browserQualifier[1].trim();
+        else break;
+        platformParts.pop();
+    }
+
+    const versionIndex = nameAndVersion.lastIndexOf('@');
+    const name = versionIndex < 0 ? nameAndVersion : nameAndVersion.slice(0, versionIndex);
+    const version = versionIndex < 0 ? '' : nameAndVersion.slice(versionIndex + 1);
+    const platform = platformParts.join(':');
+
+    return {
+        name:     name.trim(),
+        version:  version.trim() || 'any',
+        platform: platform.trim() || 'any',
+        isReal,
+        orientation,
+        browser,
+        base:     [nameAndVersion].concat(platformParts, isReal ? ['isReal'] : []).join(':'),
+    };
+}
+
+/**
+ * Returns the catalog source ("desktop", "emulated" or "real") an alias belongs to.
+ *
+ * @function getAliasSource
+ *
+ * @param {string} alias - The browser alias.
+ *
+ * @returns {string} The name of the catalog source.
+ */
+function getAliasSource (alias) {
+    const { platform, isReal } = parseAlias(alias);
+
+    if (isReal) return 'real';
+    return MOBILE_PLATFORMS.includes(normalizeOsName(platform)) ? 'emulated' : 'desktop';
+}
+
+/**
+ * Builds (once per catalog) a lookup of the versions available for each browser, OS and device type.
+ *
+ * @function _getCatalogIndex
+ *
+ * @param {string[]} catalog - The browser aliases returned by _getBrowserList.
+ *
+ * @returns {Map<string, Map<string, Set<string>>>} Versions keyed by "<name>|<isReal>", then by normalized OS name.
+ */
+function _getCatalogIndex (catalog) {
+    if (catalogIndexes.has(catalog)) return catalogIndexes.get(catalog);
+
+    const index = new Map();
+
+    for (const entry of catalog) {
+        const { name, version, platform, isReal } = parseAlias(entry);
+        const key = `${name.toLowerCase()}|${isReal}`;
+
+        if (!index.has(key)) index.set(key, new Map());
+
+        const platforms = index.get(key);
+        const os = normalizeOsName(platform);
+
+        if (!platforms.has(os)) platforms.set(os, new Set());
+        platforms.get(os).add(version.toLowerCase());
+    }
+
+    catalogIndexes.set(catalog, index);
+
+    return index;
+}
+
+/**
+ * Checks whether a version is "any" or one of the relative version keywords
+ * ("latest", "latest-<N>", "beta" or "dev").
+ *
+ * @function isVersionKeyword
+ *
+ * @param {string} version - The version from the alias.
+ *
+ * @returns {boolean} `true` if the version is not a concrete version number.
+ */
+function isVersionKeyword (version) {
+    const keyword = version.toLowerCase();
+
+    return WILDCARD_VERSIONS.includes(keyword) ||
+        CHANNEL_VERSIONS.includes(keyword) ||
+        RELATIVE_VERSION_PATTERN.test(keyword);
+}
+
+/**
+ * Compares two dotted version numbers, highest first.
+ *
+ * @function _compareVersionsDescending
+ *
+ * @param {string} a - The first version.
+ * @param {string} b - The second version.
+ *
+ * @returns {number} A negative number if `a` is the higher version.
+ */
+function _compareVersionsDescending (a, b) {
+    const aParts = a.split('.').map(Number);
+    const bParts = b.split('.').map(Number);
+
+    for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+        const difference = (bParts[i] || 0) - (aParts[i] || 0);
+
+        if (difference) return difference;
+    }
+    return 0;
+}
+
+/**
+ * Resolves a relative version keyword of an alias to a concrete version of the catalog.
+ * "latest" is the highest version available for the browser and OS, "latest-1" the one before it, and so on.
+ * "beta" and "dev" are only resolved when the catalog lists them; otherwise they are passed to the grid as is,
+ * like relative versions the catalog cannot resolve.
+ *
+ * @function resolveVersion
+ *
+ * @param {string} alias - The browser alias, e.g. "Chrome@latest-1:Windows 11".
+ * @param {string[]} catalog - The browser aliases returned by _getBrowserList.
+ *
+ * @returns {{ keyword: string, version: string }|null} The keyword and the version to request,
+ *          or null if the alias version is not a relative version keyword.
+ */
+function resolveVersion (alias, catalog) {
+    const { name, version, platform, isReal } = parseAlias(alias);
+    const keyword = version.toLowerCase();
+    const relativeVersion = RELATIVE_VERSION_PATTERN.exec(keyword);
+
+    if (!relativeVersion && !CHANNEL_VERSIONS.includes(keyword)) return null;
+
+    const platforms = _getCatalogIndex(catalog).get(`${name.toLowerCase()}|${isReal}`);
+    const os = normalizeOsName(platform);
+    const versionSets = !platforms ? [] : Array.from(platforms.entries())
+        .filter(([platformName]) => os === 'any' || platformName === os)
+        .map(([, versions]) => Array.from(versions));
+    const versions = Array.from(new Set(versionSets.flat()));
+
+    if (!relativeVersion)
+        return { keyword, version: versions.includes(keyword) ? keyword : version };
+
+    const numericVersions = versions
+        .filter((candidate) => NUMERIC_VERSION_PATTERN.test(candidate))
+        .sort(_compareVersionsDescending);
+    const resolved = numericVersions[Number(relativeVersion[1] || 0)];
+
+    return { keyword, version: resolved || keyword };
+}
+
+/**
+ * Checks whether a version requested in an alias matches a set of available versions.
+ * "120" matches "120.0"; "any" and the version keywords match any available version.
+ *
+ * @function _matchesVersion
+ *
+ * @param {string} version - The requested version, lowercased.
+ * @param {Set<string>} versions - The available versions, lowercased.
+ *
+ * @returns {boolean} `true` if the requested version is available.
+ */
+function _matchesVersion (version, versions) {
+    if (isVersionKeyword(version)) return versions.size > 0;
+
+    return versions.has(version) || versions.has(`${version}.0`);
+}
+
+/**
+ * Checks whether an alias refers to a browser or device of the catalog.
+ * Names are compared case-insensitively, and OS names after normalization.
+ *
+ * @function isKnownAlias
+ *
+ * @param {string} alias - The browser alias.
+ * @param {string[]} catalog - The browser aliases returned by _getBrowserList.
+ *
+ * @returns {boolean} `true` if the alias matches at least one catalog entry.
+ */
+function isKnownAlias (alias, catalog) {
+    const { name, version, platform, isReal } = parseAlias(alias);
+    const platforms = _getCatalogIndex(catalog).get(`${name.toLowerCase()}|${isReal}`);
+
+    if (!platforms) return false;
+
+    const requestedVersion = version.toLowerCase();
+    const os = normalizeOsName(platform);
+
+    if (os === 'any')
+        return Array.from(platforms.values()).some((versions) => _matchesVersion(requestedVersion, versions));
+
+    return platforms.has(os) && _matchesVersion(requestedVersion, platforms.get(os));
+}
+
+/**
+ * Suggests the catalog aliases closest to an unknown alias. Aliases that differ in more than a third
+ * of their characters are not considered close.
+ *
+ * @function suggestAliases
+ *
+ * @param {string} alias - The unknown browser alias.
+ * @param {string[]} catalog - The browser aliases returned by _getBrowserList.
+ * @param {number} [limit=3] - The maximum number of suggestions.
+ *
+ * @returns {string[]} The closest aliases, nearest first.
+ */
+function suggestAliases (alias, catalog, limit = 3) {
+    return closestMatches(alias, catalog, limit, Math.ceil(alias.length / 3));
+}
+
+export default {
+    getAliasSource,
+    isKnownAlias,
+    isVersionKeyword,
+    normalizeOsName,
+    parseAlias,
+    resolveVersion,
+    suggestAliases,
+};
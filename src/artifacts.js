@@ -0,0 +1,203 @@
+'use strict';
+import fs from 'fs/promises';
+import path from 'path';
+
+import { getConfig } from './config';
+import { getLogger } from './logger';
+import { recordSession } from './session-manifest';
+import { _getApiHeaders, _requestWithRetry } from './util';
+
+// The file name and the automation API path of each artifact, relative to the session.
+const ARTIFACTS = {
+    video:   { file: 'video.mp4', path: 'video' },
+    console: { file: 'console.json', path: 'log/console' },
+    network: { file: 'network.har', path: 'log/network.har' },
+    command: { file: 'command.json', path: 'log/command' },
+};
+
+// LambdaTest publishes the artifacts a little after the session ends, until then the API answers 404.
+const NOT_READY_STATUSES = [404];
+
+const queue = [];
+const pending = new Set();
+
+let activeDownloads = 0;
+
+/**
+ * Runs queued downloads while fewer than `artifacts.concurrency` are in flight.
+ *
+ * @function _runQueue
+ *
+ * @returns {void}
+ */
+function _runQueue () {
+    const { concurrency } = getConfig().artifacts;
+
+    while (activeDownloads < concurrency && queue.length) _startDownload(queue.shift());
+}
+
+/**
+ * Starts a queued download, and the next one once it has finished.
+ *
+ * @function _startDownload
+ *
+ * @param {Object} entry - The queue entry: the `task` and the `resolve` function of its promise.
+ *
+ * @returns {void}
+ */
+function _startDownload ({ task, resolve }) {
+    activeDownloads++;
+    task()
+        .then(resolve)
+        .finally(() => {
+            activeDownloads--;
+            _runQueue();
+        });
+}
+
+/**
+ * Queues a download behind the other artifact downloads of the run.
+ *
+ * @function _schedule
+ *
+ * @param {function(): Promise<*>} task - The download; it must not reject.
+ *
+ * @returns {Promise<*>} A promise that resolves to the result of the task.
+ */
+function _schedule (task) {
+    return new Promise((resolve) => {
+        queue.push({ task, resolve });
+        _runQueue();
+    });
+}
+
+/**
+ * Returns the directory of the artifacts of a session: one directory per browser alias, then per session.
+ *
+ * @function getArtifactDir
+ *
+ * @param {string} alias - The browser alias.
+ * @param {string} sessionId - The WebDriver session ID.
+ *
+ * @returns {string} The directory, in `artifacts.dir`.
+ */
+function getArtifactDir (alias, sessionId) {
+    return path.join(getConfig().artifacts.dir, alias.replace(/[^\w.@-]+/g, '_'), sessionId);
+}
+
+/**
+ * Downloads one artifact of a session from the automation API, or from the mobile automation API for real devices.
+ * The video is downloaded from the URL the API returns.
+ *
+ * @async
+ * @function _downloadArtifact
+ *
+ * @param {string} type - "video", "console", "network" or "command".
+ * @param {string} sessionId - The WebDriver session ID.
+ * @param {boolean} isRealMobile - Whether the session ran on a real mobile device.
+ * @param {string} file - The path to write the artifact to.
+ *
+ * @returns {Promise<void>} A promise that resolves when the artifact has been written.
+ *
+ * @throws {Error} Throws an error if the artifact cannot be downloaded or written.
+ */
+async function _downloadArtifact (type, sessionId, isRealMobile, file) {
+    const { artifacts, endpoints } = getConfig();
+    const sessionApi = isRealMobile ? endpoints.mobileSessionApi : endpoints.sessionApi;
+    const uri = `${sessionApi}/${sessionId}/${ARTIFACTS[type].path}`;
+    const headers = _getApiHeaders();
+
+    let options = { method: 'GET', uri, headers, encoding: null };
+
+    if (type === 'video') {
+        const { url } = await _requestWithRetry({ method: 'GET', uri, headers, json: true }, artifacts.retries, NOT_READY_STATUSES);
+
+        if (!url) throw new Error(`The automation API returned no video URL for session ${sessionId}`);
+        // The video URL is signed, so it is fetched without the API credentials.
+        options = { method: 'GET', uri: url, encoding: null };
+    }
+
+    const body = await _requestWithRetry(options, artifacts.retries, NOT_READY_STATUSES);
+
+    await fs.writeFile(file, body);
+}
+
+/**
+ * Downloads the artifacts of a session, as set by `artifacts.types`, and records their paths in the session manifest.
+ * A failed artifact is reported and does not prevent the others.
+ *
+ * @async
+ * @function _downloadSessionArtifacts
+ *
+ * @param {string} id - The unique identifier for the browser session.
+ * @param {string} alias - The browser alias.
+ * @param {string} sessionId - The WebDriver session ID.
+ * @param {boolean} isRealMobile - Whether the session ran on a real mobile device.
+ *
+ * @returns {Promise<Object>} A promise that resolves to the paths of the downloaded artifacts, by type.
+ */
+async function _downloadSessionArtifacts (id, alias, sessionId, isRealMobile) {
+    const log = getLogger('session', id);
+    const dir = getArtifactDir(alias, sessionId);
+    const paths = {};
+
+    await fs.mkdir(dir, { recursive: true });
+    await Promise.all(
+        getConfig().artifacts.types.map((type) => _schedule(async () => {
+            const file = path.join(dir, ARTIFACTS[type].file);
+
+            try {
+                await _downloadArtifact(type, sessionId, isRealMobile, file);
+                paths[type] = file;
+                log.debug(`Downloaded the ${type} artifact to ${file}`);
+            }
+            catch (err) {
+                log.warn(`Could not download the ${type} artifact of session ${sessionId}`, err);
+            }
+        })),
+    );
+
+    recordSession(id, { artifacts: paths });
+    return paths;
+}
+
+/**
+ * Starts downloading the artifacts of a closed session when `artifacts.download` (LT_DOWNLOAD_ARTIFACTS) is on.
+ * Downloads run in the background; waitForArtifacts waits for them.
+ *
+ * @function queueArtifacts
+ *
+ * @param {string} id - The unique identifier for the browser session.
+ * @param {string} alias - The browser alias.
+ * @param {string} sessionId - The WebDriver session ID.
+ * @param {boolean} [isRealMobile=false] - Whether the session ran on a real mobile device.
+ *
+ * @returns {void}
+ */
+function queueArtifacts (id, alias, sessionId, isRealMobile = false) {
+    if (!getConfig().artifacts.download || !sessionId) return;
+
+    const download = _downloadSessionArtifacts(id, alias, sessionId, isRealMobile)
+        .catch((err) => getLogger('session', id).warn('Could not download the session artifacts', err))
+        .finally(() => pending.delete(download));
+
+    pending.add(download);
+}
+
+/**
+ * Waits for the artifact downloads started so far.
+ *
+ * @async
+ * @function waitForArtifacts
+ *
+ * @returns {Promise<void>} A promise that resolves when every queued download has finished or failed.
+ */
+async function waitForArtifacts () {
+    while (pending.size) await Promise.all(Array.from(pending));
+}
+
+export default {
+    getArtifactDir,
+    queueArtifacts,
+    waitForArtifacts,
+};
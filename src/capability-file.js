@@ -0,0 +1,400 @@
+'use strict';
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+
+import { parseAlias } from './aliases';
+import { ConfigError } from './errors';
+import { deepMerge } from './w3c-capabilities';
+
+const DEFAULT_SECTION = '*';
+const FUNCTION_SECTION = '(function)';
+const ENV_PLACEHOLDER_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+/**
+ * Checks whether a value is an object that can hold capabilities.
+ *
+ * @function _isObject
+ *
+ * @param {*} value - The value to check.
+ *
+ * @returns {boolean} `true` for objects that are not arrays.
+ */
+function _isObject (value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Replaces `${NAME}` with the value of the environment variable NAME in every string of the capabilities.
+ *
+ * @function _interpolateEnv
+ *
+ * @param {*} value - The capabilities, or a nested value of them.
+ * @param {Object} env - The environment variables.
+ * @param {Set<string>} missing - Collects the names of the variables that are not set.
+ *
+ * @returns {*} The interpolated copy.
+ */
+function _interpolateEnv (value, env, missing) {
+    if (typeof value === 'string') {
+        return value.replace(ENV_PLACEHOLDER_PATTERN, (placeholder, name) => {
+            if (env[name] === void 0) missing.add(name);
+            return env[name] || '';
+        });
+    }
+    if (Array.isArray(value)) return value.map((item) => _interpolateEnv(item, env, missing));
+    if (_isObject(value))
+        return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, _interpolateEnv(nested, env, missing)]));
+
+    return value;
+}
+
+/**
+ * Interpolates the environment variables of capabilities read from a capability file.
+ *
+ * @function _checkCapabilities
+ *
+ * @param {*} value - The capabilities.
+ * @param {string} file - The capability file, used in error messages.
+ * @param {Object} env - The environment variables.
+ *
+ * @returns {Object} The interpolated capabilities.
+ *
+ * @throws {ConfigError} Throws a ConfigError if the capabilities are not an object or use variables that are not set.
+ */
+function _checkCapabilities (value, file, env) {
+    if (!_isObject(value))
+        throw new ConfigError([`${file}: the capabilities must be an object`]);
+
+    const missing = new Set();
+    const capabilities = _interpolateEnv(value, env, missing);
+
+    if (missing.size) {
+        throw new ConfigError(
+            Array.from(missing).map((name) => `${file}: environment variable ${name} used as '\${${name}}' is not set`),
+        );
+    }
+
+    return capabilities;
+}
+
+/**
+ * Finds where a JSON text stops being valid, as the messages of JSON.parse only sometimes tell.
+ *
+ * @function _findJsonError
+ *
+ * @param {string} text - The JSON text.
+ *
+ * @returns {number|null} The offset of the first character that is not valid (the length of the text if it ends
+ *                        too early), or null if the text is valid JSON.
+ */
+function _findJsonError (text) {
+    const literal = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+    const invalid = new Error('Invalid JSON');
+
+    let index = 0;
+
+    const skipSpace = () => {
+        while (index < text.length && ' \t\n\r'.includes(text[index])) index++;
+    };
+    const expect = (char) => {
+        if (text[index] !== char) throw invalid;
+        index++;
+    };
+    const parseString = () => {
+        expect('"');
+        while (text[index] !== '"') {
+            if (index >= text.length || text[index] < ' ') throw invalid;
+            if (text[index] !== '\\') index++;
+            else if (index + 1 < text.length && '"\\/bfnrt'.includes(text[index + 1])) index += 2;
+            else if (text[index + 1] === 'u' && /^[\da-fA-F]{4}$/.test(text.slice(index + 2, index + 6))) index += 6;
+            else throw invalid;
+        }
+        index++;
+    };
+    const parseList = (close, parseItem) => {
+        index++;
+        skipSpace();
+        if (text[index] === close) {
+            index++;
+            return;
+        }
+        for (;;) {
+            parseItem();
+            skipSpace();
+            if (text[index] !== ',') break;
+            index++;
+        }
+        expect(close);
+    };
+    const parseValue = () => {
+        skipSpace();
+        if (text[index] === '{') {
+            parseList('}', () => {
+                skipSpace();
+                parseString();
+                skipSpace();
+                expect(':');
+                parseValue();
+            });
+        }
+        else if (text[index] === '[') parseList(']', parseValue);
+        else if (text[index] === '"') parseString();
+        else {
+            literal.lastIndex = index;
+            if (!literal.test(text)) throw invalid;
+            index = literal.lastIndex;
+        }
+    };
+
+    try {
+        parseValue();
+        skipSpace();
+        if (index < text.length) throw invalid;
+        return null;
+    }
+    catch (err) {
+        if (err !== invalid) throw err;
+        return Math.min(index, text.length);
+    }
+}
+
+/**
+ * Parses a JSON capability file, reporting the line and column of syntax errors.
+ *
+ * @function _parseJson
+ *
+ * @param {string} text - The content of the file.
+ * @param {string} file - The path of the file.
+ *
+ * @returns {*} The parsed content.
+ *
+ * @throws {ConfigError} Throws a ConfigError if the file is not valid JSON.
+ */
+function _parseJson (text, file) {
+    try {
+        return JSON.parse(text);
+    }
+    catch (err) {
+        // The wording of JSON.parse errors differs between Node versions; the location is found independently.
+        const message = err.message
+            .replace(/ in JSON at position \d+.*$/, '')
+            .replace(/, ".*" is not valid JSON$/s, '');
+        const position = _findJsonError(text);
+
+        if (position === null) throw new ConfigError([`${file}: ${message} (location unknown)`]);
+
+        const lines = text.slice(0, position).split('\n');
+
+        throw new ConfigError([`${file}:${lines.length}:${lines[lines.length - 1].length + 1}: ${message}`]);
+    }
+}
+
+/**
+ * Parses a YAML capability file, reporting the line and column of syntax errors.
+ *
+ * @function _parseYaml
+ *
+ * @param {string} text - The content of the file.
+ * @param {string} file - The path of the file.
+ *
+ * @returns {*} The parsed content.
+ *
+ * @throws {ConfigError} Throws a ConfigError if the file is not valid YAML.
+ */
+function _parseYaml (text, file) {
+    try {
+        return yaml.load(text, { filename: file });
+    }
+    catch (err) {
+        const location = err.mark ? `:${err.mark.line + 1}:${err.mark.column + 1}` : '';
+
+        throw new ConfigError([`${file}${location}: ${err.reason || err.message}`]);
+    }
+}
+
+/**
+ * Loads a JavaScript capability file, reporting the line of syntax errors.
+ *
+ * @function _requireModule
+ *
+ * @param {string} file - The absolute path of the module.
+ *
+ * @returns {Object|Function} The exported sections, or the exported function.
+ *
+ * @throws {ConfigError} Throws a ConfigError if the module cannot be loaded.
+ */
+function _requireModule (file) {
+    try {
+        const exported = require(file);
+
+        return exported && exported.__esModule ? exported.default : exported;
+    }
+    catch (err) {
+        // Node reports the location of syntax errors as "<file>:<line>" on the first line of the stack.
+        const location = err instanceof SyntaxError && err.stack.startsWith(`${file}:`)
+            ? `:${parseInt(err.stack.slice(file.length + 1), 10)}`
+            : '';
+
+        throw new ConfigError([`${file}${location}: ${err.message}`]);
+    }
+}
+
+/**
+ * Reads the capability file given by LT_CAPABILITY_PATH: JSON, YAML (`.yaml`, `.yml`) or a JavaScript module
+ * (`.js`, `.cjs`). A module exports either the sections or a function that returns the capabilities of an alias.
+ * `${NAME}` in string values is replaced with the environment variable NAME.
+ *
+ * @async
+ * @function readCapabilityFile
+ *
+ * @param {string} filename - The path of the capability file.
+ * @param {Object} [env=process.env] - The environment variables.
+ *
+ * @returns {Promise<Object|Function>} The sections of the file, keyed by browser alias or alias pattern,
+ *                                     or the function exported by a module.
+ *
+ * @throws {ConfigError} Throws a ConfigError if the file cannot be read or parsed, with the line of syntax errors.
+ */
+async function readCapabilityFile (filename, env = process.env) {
+    const file = path.resolve(filename);
+    const extension = path.extname(file).toLowerCase();
+
+    let content;
+
+    if (['.js', '.cjs'].includes(extension)) {
+        content = _requireModule(file);
+
+        if (typeof content === 'function') {
+            const factory = content;
+
+            return (details) => _checkCapabilities(factory(details), file, env);
+        }
+    }
+    else {
+        let text;
+
+        try {
+            text = await fs.readFile(file, 'utf8');
+        }
+        catch (err) {
+            throw new ConfigError([`LT_CAPABILITY_PATH: ${err.message}`]);
+        }
+        content = ['.yaml', '.yml'].includes(extension) ? _parseYaml(text, file) : _parseJson(text, file);
+    }
+
+    if (!_isObject(content))
+        throw new ConfigError([`${file}: the capability file must contain an object of sections`]);
+
+    return Object.fromEntries(
+        Object.entries(content).map(([key, section]) => [key, _checkCapabilities(section, `${file} (${key})`, env)]),
+    );
+}
+
+/**
+ * Normalizes an alias or section key, so that case and spaces around "@" and ":" do not matter.
+ *
+ * @function _normalizeKey
+ *
+ * @param {string} key - The alias or section key.
+ *
+ * @returns {string} The normalized key.
+ */
+function _normalizeKey (key) {
+    return key
+        .trim()
+        .toLowerCase()
+        .replace(/\s*([@:])\s*/g, '$1')
+        .replace(/\s+/g, ' ');
+}
+
+/**
+ * Converts a section key with "*" wildcards to a regular expression.
+ *
+ * @function _globToRegExp
+ *
+ * @param {string} pattern - The normalized section key.
+ *
+ * @returns {RegExp} The expression matching whole normalized aliases.
+ */
+function _globToRegExp (pattern) {
+    const source = pattern
+        .split('*')
+        .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Finds the sections of a capability file that apply to a browser alias, in the order they are merged:
+ * the "*" default section first, then the matching patterns from the least to the most specific
+ * (the one with the most characters besides wildcards; ties in file order), and the exact alias last.
+ * Sections are matched against the alias with and without its orientation and browser qualifiers, so that
+ * "*:android:isReal" applies to "Galaxy S23@13:android:isReal:landscape" as well.
+ *
+ * @function getMatchingSections
+ *
+ * @param {Object} sections - The sections of the capability file.
+ * @param {string} alias - The browser alias.
+ *
+ * @returns {string[]} The keys of the matching sections, in merge order.
+ */
+function getMatchingSections (sections, alias) {
+    const normalizedAlias = _normalizeKey(alias);
+    const normalizedBase = _normalizeKey(parseAlias(alias).base);
+    const candidates = Array.from(new Set([normalizedAlias, normalizedBase]));
+    const keys = Object.keys(sections);
+    const rank = (key) => {
+        const normalizedKey = _normalizeKey(key);
+
+        if (normalizedKey === DEFAULT_SECTION) return -1;
+        // Finite ranks, so that keys that normalize to the same alias compare equal and keep their file order.
+        // The section of the whole alias wins over the section of the alias without its qualifiers.
+        if (normalizedKey === normalizedAlias) return Number.MAX_SAFE_INTEGER;
+        if (!normalizedKey.includes('*')) return Number.MAX_SAFE_INTEGER - 1;
+
+        return normalizedKey.replace(/\*/g, '').length;
+    };
+
+    return keys
+        .filter((key) => {
+            const normalizedKey = _normalizeKey(key);
+
+            return candidates.some((candidate) => normalizedKey === candidate ||
+                normalizedKey.includes('*') && _globToRegExp(normalizedKey).test(candidate));
+        })
+        .sort((a, b) => rank(a) - rank(b) || keys.indexOf(a) - keys.indexOf(b));
+}
+
+/**
+ * Merges the sections of a capability file that apply to a browser alias. Nested objects
+ * (`LT:Options`, `goog:chromeOptions`, ...) are merged deeply; a more specific section wins.
+ * A function exported by a JavaScript capability file is called instead.
+ *
+ * @function resolveCapabilitySections
+ *
+ * @param {Object|Function} sections - The sections of the capability file, or the function it exports.
+ * @param {string} alias - The browser alias.
+ * @param {Object} [details={}] - The parsed alias passed to a function: `alias`, `browserName`, `browserVersion`,
+ *                                `platform`, `deviceName` and `isRealMobile`.
+ *
+ * @returns {{ capabilities: Object, sections: string[] }} The merged capabilities and the keys of the applied sections.
+ */
+function resolveCapabilitySections (sections, alias, details = {}) {
+    if (typeof sections === 'function')
+        return { capabilities: sections({ ...details, alias }), sections: [FUNCTION_SECTION] };
+
+    const matchingSections = getMatchingSections(sections, alias);
+
+    return {
+        capabilities: matchingSections.reduce((merged, key) => deepMerge(merged, sections[key] || {}), {}),
+        sections:     matchingSections,
+    };
+}
+
+export default {
+    getMatchingSections,
+    readCapabilityFile,
+    resolveCapabilitySections,
+};
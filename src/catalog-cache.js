@@ -0,0 +1,97 @@
+'use strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const CACHE_VERSION = 2;
+
+/**
+ * Computes the cache file of the catalog for the configured account and endpoints, so that
+ * switching accounts or grids never serves aliases from another catalog.
+ *
+ * @function _getCacheFile
+ *
+ * @param {Object} config - The resolved provider configuration.
+ *
+ * @returns {string} The absolute path of the cache file.
+ */
+function _getCacheFile (config) {
+    const { credentials, endpoints, catalog } = config;
+    const key = crypto
+        .createHash('sha1')
+        .update(
+            [
+                credentials.username || '',
+                endpoints.capabilityApi,
+                endpoints.deviceApi,
+                endpoints.realDeviceApi,
+            ].join('\n'),
+        )
+        .digest('hex');
+
+    return path.resolve(catalog.cacheDir, `catalog-${key}.json`);
+}
+
+/**
+ * Reads the cached catalog, whether it is still fresh or not.
+ *
+ * @async
+ * @function readCatalogCache
+ *
+ * @param {Object} config - The resolved provider configuration.
+ *
+ * @returns {Promise<Object|null>} The cache entry (`createdAt`, `sources` and `isFresh`),
+ *                                 or null if there is no usable cache.
+ */
+async function readCatalogCache (config) {
+    const file = _getCacheFile(config);
+
+    try {
+        const entry = JSON.parse(await fs.readFile(file, 'utf8'));
+
+        if (entry.version !== CACHE_VERSION || !entry.sources)
+            return null;
+
+        return {
+            file,
+            createdAt: entry.createdAt,
+            sources:   entry.sources,
+            isFresh:   Date.now() - entry.createdAt < config.catalog.cacheTtl * 1000,
+        };
+    }
+    // eslint-disable-next-line no-unused-vars
+    catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Writes the catalog to the cache. The file is replaced atomically so that parallel TestCafe
+ * processes never read a partially written catalog.
+ *
+ * @async
+ * @function writeCatalogCache
+ *
+ * @param {Object} config - The resolved provider configuration.
+ * @param {Object<string, string[]>} sources - The browser aliases to cache, keyed by catalog source.
+ *
+ * @returns {Promise<void>} A promise that resolves when the cache has been written.
+ *
+ * @throws {Error} Throws an error if the cache directory or file cannot be written.
+ */
+async function writeCatalogCache (config, sources) {
+    const file = _getCacheFile(config);
+    const tempFile = `${file}.${process.pid}.tmp`;
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(
+        tempFile,
+        JSON.stringify({ version: CACHE_VERSION, createdAt: Date.now(), sources }),
+    );
+    await fs.rename(tempFile, file);
+}
+
+export default {
+    readCatalogCache,
+    writeCatalogCache,
+};
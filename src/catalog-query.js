@@ -0,0 +1,205 @@
+'use strict';
+import { getAliasSource, normalizeOsName, parseAlias } from './aliases';
+
+const NUMERIC_VERSION_PATTERN = /^\d+(?:\.\d+)*$/;
+const COMPARATOR_PATTERN = /^(>=|<=|>|<|=)?(\d+(?:\.\d+)*)$/;
+const RANGE_PATTERN = /^(\d+(?:\.\d+)*)-(\d+(?:\.\d+)*)$/;
+const OPERATORS = {
+    '>=': (difference) => difference >= 0,
+    '<=': (difference) => difference <= 0,
+    '>':  (difference) => difference > 0,
+    '<':  (difference) => difference < 0,
+    '=':  (difference) => difference === 0,
+};
+const CSV_COLUMNS = ['alias', 'browser', 'version', 'os', 'platform', 'type'];
+
+/**
+ * Compares two dotted version numbers. When `precision` is given, only that many parts of `a` are compared,
+ * so that "120.0.6099" equals "120".
+ *
+ * @function _compareVersions
+ *
+ * @param {string} a - The first version.
+ * @param {string} b - The second version.
+ * @param {number} [precision=Infinity] - The number of version parts to compare.
+ *
+ * @returns {number} A negative number if `a` is the lower version, a positive number if it is the higher one.
+ */
+function _compareVersions (a, b, precision = Infinity) {
+    const aParts = a.split('.').map(Number).slice(0, precision);
+    const bParts = b.split('.').map(Number);
+
+    for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+        const difference = (aParts[i] || 0) - (bParts[i] || 0);
+
+        if (difference) return difference;
+    }
+    return 0;
+}
+
+/**
+ * Parses a version range. A range is a comma separated list of conditions that must all hold: `120` (any 120.x),
+ * `>=110`, `>110`, `<=120`, `<120`, `=120` or `110-120` (both included). A bound matches every version that
+ * starts with it, so `<=120` includes 120.0.6099.
+ *
+ * @function parseVersionRange
+ *
+ * @param {string} range - The version range, e.g. ">=110,<120".
+ *
+ * @returns {Function} A predicate that takes a version and tells whether it is in the range.
+ *                     Versions that are not numbers (e.g. "beta") are never in a range.
+ *
+ * @throws {Error} Throws an error if a condition cannot be parsed.
+ */
+function parseVersionRange (range) {
+    const conditions = range.split(',').map((part) => part.replace(/\s+/g, '')).filter(Boolean).map((part) => {
+        const bounds = RANGE_PATTERN.exec(part);
+
+        if (bounds) {
+            return (version) => _compareVersions(version, bounds[1], bounds[1].split('.').length) >= 0 &&
+                _compareVersions(version, bounds[2], bounds[2].split('.').length) <= 0;
+        }
+
+        const comparator = COMPARATOR_PATTERN.exec(part);
+
+        if (!comparator)
+            throw new Error(`invalid version condition '${part}', expected e.g. 120, >=110, <120 or 110-120`);
+
+        const [, operator = '=', bound] = comparator;
+
+        return (version) => OPERATORS[operator](_compareVersions(version, bound, bound.split('.').length));
+    });
+
+    if (!conditions.length) throw new Error('empty version range');
+
+    return (version) => NUMERIC_VERSION_PATTERN.test(version) && conditions.every((condition) => condition(version));
+}
+
+/**
+ * Describes a catalog alias.
+ *
+ * @function describeAlias
+ *
+ * @param {string} alias - The alias, as returned by _getBrowserList.
+ *
+ * @returns {{ alias: string, browser: string, version: string, os: string, platform: string, type: string }}
+ *          The parts of the alias, its platform (the OS family: windows, macos, linux, android or ios)
+ *          and its type (desktop, emulated or real).
+ */
+function describeAlias (alias) {
+    const { name, version, platform: os } = parseAlias(alias);
+
+    return {
+        alias,
+        browser:  name,
+        version,
+        os,
+        platform: normalizeOsName(os).split(' ')[0],
+        type:     getAliasSource(alias),
+    };
+}
+
+/**
+ * Filters and sorts the browser and device catalog. Every filter is optional; list filters match any of their values,
+ * case-insensitively.
+ *
+ * @function queryCatalog
+ *
+ * @param {string[]} catalog - The aliases returned by _getBrowserList.
+ * @param {Object} [filters] - The filters.
+ * @param {string[]} [filters.browsers] - Browser or device names.
+ * @param {string[]} [filters.os] - OS names; spelling variants such as "win11" match "Windows 11".
+ * @param {string[]} [filters.platforms] - OS families: windows, macos, linux, android or ios.
+ * @param {string[]} [filters.types] - desktop, emulated or real.
+ * @param {string} [filters.versions] - A version range, see parseVersionRange.
+ * @param {number} [filters.latest] - Only keep the highest N numeric versions of each browser on each OS.
+ *
+ * @returns {Object[]} The matching aliases as described by describeAlias, sorted by type, browser and OS,
+ *                     then from the highest version to the lowest (versions that are not numbers last).
+ *
+ * @throws {Error} Throws an error if the version range is invalid.
+ */
+function queryCatalog (catalog, { browsers, os, platforms, types, versions, latest } = {}) {
+    const lowerCase = (values) => values && values.map((value) => value.toLowerCase());
+    const browserNames = lowerCase(browsers);
+    const osNames = os && os.map(normalizeOsName);
+    const platformNames = lowerCase(platforms);
+    const typeNames = lowerCase(types);
+    const inRange = versions ? parseVersionRange(versions) : null;
+
+    const entries = Array.from(new Set(catalog))
+        .map(describeAlias)
+        .filter((entry) =>
+            (!browserNames || browserNames.includes(entry.browser.toLowerCase())) &&
+            (!osNames || osNames.includes(normalizeOsName(entry.os))) &&
+            (!platformNames || platformNames.includes(entry.platform)) &&
+            (!typeNames || typeNames.includes(entry.type)) &&
+            (!inRange || inRange(entry.version)),
+        )
+        .sort((a, b) => {
+            const aNumeric = NUMERIC_VERSION_PATTERN.test(a.version);
+            const bNumeric = NUMERIC_VERSION_PATTERN.test(b.version);
+
+            return a.type.localeCompare(b.type) ||
+                a.browser.localeCompare(b.browser, 'en', { sensitivity: 'base' }) ||
+                a.os.localeCompare(b.os, 'en', { sensitivity: 'base' }) ||
+                Number(bNumeric) - Number(aNumeric) ||
+                (aNumeric ? _compareVersions(b.version, a.version) : a.version.localeCompare(b.version));
+        });
+
+    if (!latest) return entries;
+
+    const counts = new Map();
+
+    return entries.filter((entry) => {
+        if (!NUMERIC_VERSION_PATTERN.test(entry.version)) return false;
+
+        const key = `${entry.type}|${entry.browser.toLowerCase()}|${normalizeOsName(entry.os)}`;
+        const count = (counts.get(key) || 0) + 1;
+
+        counts.set(key, count);
+        return count <= latest;
+    });
+}
+
+/**
+ * Quotes a CSV field when needed.
+ *
+ * @function _csvField
+ *
+ * @param {string} value - The field.
+ *
+ * @returns {string} The field, quoted if it contains a comma, a quote or a line break.
+ */
+function _csvField (value) {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Renders catalog entries.
+ *
+ * @function formatCatalog
+ *
+ * @param {Object[]} entries - The entries returned by queryCatalog.
+ * @param {string} format - "text" (one alias per line), "json" or "csv".
+ *
+ * @returns {string} The rendered entries.
+ */
+function formatCatalog (entries, format) {
+    if (format === 'json') return JSON.stringify(entries, null, 4);
+
+    if (format === 'csv') {
+        return [CSV_COLUMNS.join(',')]
+            .concat(entries.map((entry) => CSV_COLUMNS.map((column) => _csvField(entry[column])).join(',')))
+            .join('\n');
+    }
+
+    return entries.map((entry) => entry.alias).join('\n');
+}
+
+export default {
+    describeAlias,
+    formatCatalog,
+    parseVersionRange,
+    queryCatalog,
+};
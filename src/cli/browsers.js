@@ -0,0 +1,121 @@
+'use strict';
+import { formatCatalog, parseVersionRange, queryCatalog } from '../catalog-query';
+import { _getBrowserList } from '../util';
+
+const USAGE = `Usage: lambdatest-browsers [options]
+
+Prints the LambdaTest browser and device aliases, sorted by browser and OS, from the highest version to the lowest.
+List options take comma separated values and match any of them, case-insensitively.
+Exits with code 2 when part of the list could not be fetched.
+
+Options:
+  --browser <names>      Browser or device names, e.g. chrome,firefox
+  --os <names>           OS names, e.g. "Windows 11,macOS Sonoma"
+  --platform <names>     OS families: windows, macos, linux, android, ios
+  --type <types>         desktop, emulated (emulated mobile devices) or real (real devices)
+  --version <range>      Version range, e.g. 120, ">=110,<120" or 110-120
+  --latest <n>           Only the highest n versions of each browser on each OS
+  --format <format>      text (one alias per line, default), json or csv
+  --refresh              Rebuild the cached browser list from the LambdaTest APIs
+  --help                 Show this help
+
+Example: the two latest Chrome versions on every Windows, as JSON
+  lambdatest-browsers --browser chrome --platform windows --latest 2 --format json`;
+
+const FORMATS = ['text', 'json', 'csv'];
+const TYPES = ['desktop', 'emulated', 'real'];
+
+// Options that take a value, with the name of the query filter they set.
+const VALUE_OPTIONS = {
+    '--browser':  'browsers',
+    '--os':       'os',
+    '--platform': 'platforms',
+    '--type':     'types',
+    '--version':  'versions',
+    '--latest':   'latest',
+    '--format':   'format',
+};
+const LIST_OPTIONS = ['--browser', '--os', '--platform', '--type'];
+
+/**
+ * Parses the command line arguments.
+ * 
+ * @function _parseArgs
+ * 
+ * @param {string[]} args - The command line arguments. Values follow their option, or are joined to it with "=".
+ * 
+ * @returns {Object} The query filters, `format` and `refresh`.
+ * 
+ * @throws {Error} Throws an error naming the first unknown option or invalid value.
+ */
+function _parseArgs (args) {
+    const options = { format: 'text', refresh: false };
+
+    for (let index = 0; index < args.length; index++) {
+        const [name, inlineValue] = args[index].split(/=(.*)/s);
+
+        if (name === '--refresh') {
+            options.refresh = true;
+            continue;
+        }
+        if (!(name in VALUE_OPTIONS)) throw new Error(`Unknown option: ${args[index]}`);
+
+        const value = inlineValue === void 0 ? args[++index] : inlineValue;
+
+        if (value === void 0 || value === '') throw new Error(`Missing value for ${name}`);
+
+        options[VALUE_OPTIONS[name]] = LIST_OPTIONS.includes(name)
+            ? value.split(',').map((item) => item.trim()).filter(Boolean)
+            : value;
+    }
+
+    if (!FORMATS.includes(options.format))
+        throw new Error(`Unknown format: ${options.format}, expected ${FORMATS.join(', ')}`);
+    if (options.types && options.types.some((type) => !TYPES.includes(type.toLowerCase())))
+        throw new Error(`Unknown type: ${options.types.join(',')}, expected ${TYPES.join(', ')}`);
+    if (options.latest !== void 0) {
+        if (!/^[1-9]\d*$/.test(options.latest))
+            throw new Error(`Invalid --latest value: ${options.latest}, expected a positive integer`);
+        options.latest = Number(options.latest);
+    }
+    if (options.versions) parseVersionRange(options.versions);
+
+    return options;
+}
+
+/**
+ * Runs the lambdatest-browsers command.
+ * 
+ * @async
+ * @function run
+ * 
+ * @param {string[]} args - The command line arguments, without the node executable and script path.
+ * 
+ * @returns {Promise<number>} A promise that resolves to the process exit code.
+ */
+async function run (args) {
+    if (args.includes('--help')) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    let options;
+
+    try {
+        options = _parseArgs(args);
+    }
+    catch (err) {
+        console.error(`${err.message}\n\n${USAGE}`);
+        return 1;
+    }
+
+    const { browsers, failedSources } = await _getBrowserList({ refresh: options.refresh });
+    const output = formatCatalog(queryCatalog(browsers, options), options.format);
+
+    if (output) console.log(output);
+    return failedSources.length ? 2 : 0;
+}
+
+export default {
+    run,
+};
@@ -0,0 +1,67 @@
+'use strict';
+import { resolveVersion } from '../aliases';
+import { getConfig } from '../config';
+import { formatDryRun, resolveDryRun } from '../dry-run';
+import { _getBrowserList } from '../util';
+
+const USAGE = `Usage: lambdatest-dry-run [options] <alias>...
+
+Prints the capabilities each browser alias would be opened with, and where each value comes from
+(alias, capability file, environment variable, config file or default), without starting tunnels or sessions.
+
+Options:
+  --format <table|json>  Output format (default: LT_DRY_RUN_FORMAT, or table)
+  --help                 Show this help`;
+
+const FORMATS = ['table', 'json'];
+
+/**
+ * Runs the lambdatest-dry-run command.
+ * 
+ * @async
+ * @function run
+ * 
+ * @param {string[]} args - The command line arguments, without the node executable and script path.
+ * 
+ * @returns {Promise<number>} A promise that resolves to the process exit code.
+ */
+async function run (args) {
+    if (args.includes('--help')) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const aliases = [];
+
+    let format = getConfig().session.dryRunFormat;
+
+    for (let index = 0; index < args.length; index++) {
+        if (args[index] === '--format') format = args[++index];
+        else if (args[index].startsWith('--')) {
+            console.error(`Unknown option: ${args[index]}\n\n${USAGE}`);
+            return 1;
+        }
+        else aliases.push(args[index]);
+    }
+
+    if (!aliases.length) {
+        console.error(`No browser alias given\n\n${USAGE}`);
+        return 1;
+    }
+    if (!FORMATS.includes(format)) {
+        console.error(`Unknown format: ${format}\n\n${USAGE}`);
+        return 1;
+    }
+
+    // The catalog is only needed to resolve version keywords such as "latest-1".
+    const catalog = aliases.some((alias) => resolveVersion(alias, []))
+        ? (await _getBrowserList()).browsers
+        : [];
+
+    console.log(formatDryRun(await resolveDryRun(aliases, catalog), format));
+    return 0;
+}
+
+export default {
+    run,
+};
@@ -0,0 +1,195 @@
+'use strict';
+import { getAliasSource, normalizeOsName, parseAlias } from './aliases';
+import { getConfig } from './config';
+import { ConfigError } from './errors';
+import { getLogger } from './logger';
+
+const SESSION_TYPE_NAMES = { desktop: 'desktop browsers', emulated: 'emulated mobile devices', real: 'real devices' };
+const W3C_OPTION_KEYS = ['LT:Options', 'lt:options'];
+
+// The browsers of mobile devices, by OS and session type, as the grid's browserName, and their accepted spellings.
+const MOBILE_BROWSERS = {
+    android: { emulated: ['chrome'], real: ['chrome', 'firefox', 'samsung'] },
+    ios:     { emulated: ['safari'], real: ['safari'] },
+};
+const MOBILE_BROWSER_NAMES = { samsunginternet: 'samsung' };
+// The regions of IANA timezone names, to accept a city on its own.
+const TIMEZONE_REGIONS = ['Africa', 'America', 'Antarctica', 'Asia', 'Atlantic', 'Australia', 'Europe', 'Indian', 'Pacific'];
+
+/**
+ * Checks a timezone: a UTC offset such as "UTC+05:30", an IANA name such as "Asia/Kolkata", or its city, "Kolkata".
+ *
+ * @function _checkTimezone
+ *
+ * @param {*} value - The timezone.
+ *
+ * @returns {string|null} Why the value is invalid, or null.
+ */
+function _checkTimezone (value) {
+    if (/^UTC(?:[+-](?:0\d|1[0-4]):[0-5]\d)?$/.test(value)) return null;
+
+    const names = [value].concat(TIMEZONE_REGIONS.map((region) => `${region}/${String(value).replace(/ /g, '_')}`));
+
+    for (const name of names) {
+        try {
+            Intl.DateTimeFormat('en-US', { timeZone: name });
+            return null;
+        }
+        // eslint-disable-next-line no-unused-vars
+        catch (err) {
+            // Not a timezone known to the runtime, try the next name.
+        }
+    }
+
+    return 'expected a UTC offset such as "UTC+05:30", or a timezone name such as "Asia/Kolkata" or "Kolkata"';
+}
+
+const RESOLUTION_RULE = {
+    types: ['desktop'],
+    check: (value) => /^\d+x\d+$/.test(value) ? null : 'expected <width>x<height>, e.g. "1920x1080"',
+};
+const SELENIUM_VERSION_RULE = {
+    types: ['desktop', 'emulated'],
+    check: (value) => /^\d+(?:\.\d+){0,2}$/.test(value) ? null : 'expected a version such as "4.0.0"',
+};
+const TIMEZONE_RULE = { types: ['desktop', 'emulated'], check: _checkTimezone };
+const DESKTOP_ONLY_RULE = { types: ['desktop'] };
+
+/**
+ * The capabilities that only some kinds of sessions support, and the checks of their values.
+ * `types` lists the session types ("desktop", "emulated", "real") the capability applies to;
+ * `check` returns why a value is invalid, or null. `seleniumVersion` is the name of `selenium_version`
+ * in an LT:Options block.
+ */
+const CAPABILITY_RULES = {
+    resolution:              RESOLUTION_RULE,
+    'selenium_version':      SELENIUM_VERSION_RULE,
+    seleniumVersion:         SELENIUM_VERSION_RULE,
+    timezone:                TIMEZONE_RULE,
+    'safari.cookies':        DESKTOP_ONLY_RULE,
+    'safari.popups':         DESKTOP_ONLY_RULE,
+    enableCustomTranslation: DESKTOP_ONLY_RULE,
+};
+
+/**
+ * Returns the kind of session the capabilities request.
+ *
+ * @function getSessionType
+ *
+ * @param {Object} capabilities - The parsed capabilities.
+ *
+ * @returns {string} "real" for real devices, "emulated" for emulated mobile devices, "desktop" otherwise.
+ */
+function getSessionType (capabilities) {
+    if (capabilities.isRealMobile) return 'real';
+    return capabilities.platformName ? 'emulated' : 'desktop';
+}
+
+/**
+ * Checks the capabilities of an alias against the rules of its session type before the session is requested.
+ * Capabilities the session type does not support are dropped with a warning, or rejected when
+ * `capabilities.incompatible` (LT_INCOMPATIBLE_CAPABILITIES) is "error". Invalid values are always rejected.
+ * Capabilities in an `LT:Options` block are checked as well.
+ *
+ * @function checkCompatibility
+ *
+ * @param {string} alias - The browser alias, for the messages.
+ * @param {Object} capabilities - The parsed capabilities; incompatible ones are removed from it.
+ * @param {Object} [sources={}] - The origin of each capability, as recorded by _parseCapabilities, for the messages.
+ * @param {string} [id] - The TestCafe browser id, for the log.
+ *
+ * @returns {Object} The capabilities.
+ *
+ * @throws {ConfigError} Throws a ConfigError listing every invalid value and, in "error" mode, every incompatible
+ *                       capability.
+ */
+function checkCompatibility (alias, capabilities, sources = {}, id) {
+    const { incompatible } = getConfig().capabilities;
+    const log = getLogger('capabilities', id);
+    const type = getSessionType(capabilities);
+    const problems = [];
+    const containers = [capabilities];
+
+    for (const key of W3C_OPTION_KEYS) {
+        // Copied, as the block may be shared with the capability file.
+        if (capabilities[key] && typeof capabilities[key] === 'object')
+            containers.push(capabilities[key] = { ...capabilities[key] });
+    }
+
+    for (const container of containers) {
+        for (const [key, rule] of Object.entries(CAPABILITY_RULES)) {
+            if (!(key in container)) continue;
+
+            const origin = container === capabilities && sources[key] ? ` (from ${sources[key]})` : '';
+
+            if (!rule.types.includes(type)) {
+                const message = `${alias}: '${key}'${origin} is not supported on ${SESSION_TYPE_NAMES[type]}`;
+
+                if (incompatible === 'error') problems.push(message);
+                else {
+                    log.warn(`${message}, it is not sent to the grid.`);
+                    delete container[key];
+                }
+                continue;
+            }
+
+            const reason = rule.check && rule.check(container[key]);
+
+            if (reason) problems.push(`${alias}: invalid '${key}'${origin} ${JSON.stringify(container[key])}, ${reason}`);
+        }
+    }
+
+    if (problems.length) throw new ConfigError(problems);
+    return capabilities;
+}
+
+/**
+ * Returns the capabilities the orientation and browser qualifiers of a mobile alias ask for,
+ * e.g. "Pixel 8@14:android:isReal:landscape:browser=firefox".
+ *
+ * @function resolveAliasQualifiers
+ *
+ * @param {string} alias - The browser alias.
+ *
+ * @returns {Object} `deviceOrientation` and `browserName`, for the qualifiers the alias has.
+ *
+ * @throws {ConfigError} Throws a ConfigError if a qualifier is used on a desktop browser, or if the browser
+ *                       is not available on the OS and device type of the alias.
+ */
+function resolveAliasQualifiers (alias) {
+    const { platform, orientation, browser } = parseAlias(alias);
+    const type = getAliasSource(alias);
+    const capabilities = {};
+    const problems = [];
+
+    if (orientation) {
+        if (type === 'desktop') problems.push(`${alias}: '${orientation}' only applies to mobile devices`);
+        else capabilities.deviceOrientation = orientation;
+    }
+
+    if (browser !== null) {
+        const os = normalizeOsName(platform);
+        const key = browser.toLowerCase().replace(/[\s_-]+/g, '');
+        const browserName = MOBILE_BROWSER_NAMES[key] || key;
+        const browsers = MOBILE_BROWSERS[os] && MOBILE_BROWSERS[os][type] || [];
+
+        if (type === 'desktop')
+            problems.push(`${alias}: 'browser=' only applies to mobile devices, desktop browsers are named before the '@'`);
+        else if (!browsers.includes(browserName)) {
+            problems.push(
+                `${alias}: '${browser}' is not available on ${platform} ${SESSION_TYPE_NAMES[type]}` +
+                    (browsers.length ? `, expected ${browsers.join(', ')}` : ''),
+            );
+        }
+        else capabilities.browserName = browserName;
+    }
+
+    if (problems.length) throw new ConfigError(problems);
+    return capabilities;
+}
+
+export default {
+    checkCompatibility,
+    getSessionType,
+    resolveAliasQualifiers,
+};
@@ -0,0 +1,513 @@
+'use strict';
+import fs from 'fs';
+import path from 'path';
+import JSON5 from 'json5';
+
+import { ConfigError } from './errors';
+import { validateTemplate } from './name-template';
+import { closestMatches } from './suggest';
+
+const CONFIG_PATH_ENV = 'LT_CONFIG_PATH';
+const CONFIG_FILES = ['lambdatest.config.js', 'lambdatest.config.json'];
+const TESTCAFE_CONFIG_FILES = ['.testcaferc.js', '.testcaferc.cjs', '.testcaferc.json'];
+const TESTCAFE_CONFIG_KEY = 'lambdatest';
+
+const MANIFEST_FORMATS = ['json', 'junit', 'markdown'];
+const DRY_RUN_FORMATS = ['table', 'json'];
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug', 'trace'];
+const LOG_FORMATS = ['human', 'json'];
+const ARTIFACT_TYPES = ['video', 'console', 'network', 'command'];
+const INCOMPATIBLE_MODES = ['drop', 'error'];
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+/**
+ * Every supported option, grouped by section. Each option may be set in the config file under
+ * `<section>.<key>` or through its environment variable; the environment variable wins.
+ * Lists are comma separated in environment variables; functions can only be set in a JavaScript config file.
+ * `default` may be a function receiving the options resolved so far. `legacyEnv` is a former name of the
+ * environment variable, still read when `env` is not set.
+ */
+const CONFIG_SCHEMA = {
+    credentials: {
+        username:  { env: 'LT_USERNAME', type: 'string' },
+        accessKey: { env: 'LT_ACCESS_KEY', type: 'string', secret: true },
+    },
+
+    endpoints: {
+        hub:              { env: 'LT_GRID_URL', type: 'hub', default: 'hub.lambdatest.com' },
+        mobileHub:        { env: 'LT_MOBILE_GRID_URL', type: 'hub', default: 'beta-hub.lambdatest.com' },
+        api:              { env: 'LT_API_URL', type: 'url', default: 'https://api.lambdatest.com/api/v1' },
+        capabilityApi:    { env: 'LT_CAPABILITY_API_URL', type: 'url', default: (config) => `${config.endpoints.api}/capability` },
+        deviceApi:        { env: 'LT_DEVICE_API_URL', type: 'url', default: (config) => `${config.endpoints.api}/device` },
+        mobileApi:        { env: 'LT_MOBILE_API_URL', type: 'url', default: 'https://mobile-api.lambdatest.com/mobile-automation/api/v1' },
+        realDeviceApi:    { env: 'LT_REAL_DEVICE_API_URL', type: 'url', default: (config) => `${config.endpoints.mobileApi}/real/list` },
+        automationApi:    { env: 'LT_AUTOMATION_API_URL', type: 'url', default: 'https://api.lambdatest.com/automation/api/v1' },
+        sessionApi:       { env: 'LT_SESSION_API_URL', type: 'url', default: (config) => `${config.endpoints.automationApi}/sessions` },
+        mobileSessionApi: { env: 'LT_MOBILE_SESSION_API_URL', type: 'url', default: (config) => `${config.endpoints.mobileApi}/sessions` },
+        dashboard:        { env: 'LT_DASHBOARD_URL', type: 'url', default: 'https://automation.lambdatest.com' },
+    },
+
+    tunnel: {
+        name:                { env: 'LT_TUNNEL_NAME', type: 'string' },
+        number:              { env: 'LT_TUNNEL_NUMBER', type: 'integer', min: 1, default: 1 },
+        logFile:             { env: 'LT_LOGFILE', type: 'string', default: 'lambdaTunnelLog.log' },
+        verbose:             { env: 'LT_VERBOSE', type: 'boolean', default: false },
+        mitm:                { env: 'LT_MITM', type: 'boolean', default: false },
+        proxyHost:           { env: 'LT_PROXY_HOST', type: 'string' },
+        proxyPort:           { env: 'LT_PROXY_PORT', type: 'integer', min: 1, max: 65535 },
+        proxyUser:           { env: 'LT_PROXY_USER', type: 'string' },
+        proxyPass:           { env: 'LT_PROXY_PASS', type: 'string', secret: true },
+        dir:                 { env: 'LT_DIR', type: 'string' },
+        loadBalanced:        { env: 'LOAD_BALANCED_MODE', type: 'boolean', default: false },
+        startTimeout:        { env: 'LT_TUNNEL_START_TIMEOUT', type: 'integer', min: 1, default: 300 },
+        healthCheckInterval: { env: 'LT_TUNNEL_HEALTH_CHECK_INTERVAL', type: 'integer', min: 0, default: 30 },
+    },
+
+    capabilities: {
+        path:            { env: 'LT_CAPABILITY_PATH', type: 'string' },
+        build:           { env: 'LT_BUILD', type: 'template' },
+        testName:        { env: 'LT_TEST_NAME', type: 'template' },
+        resolution:      { env: 'LT_RESOLUTION', type: 'string' },
+        seleniumVersion: { env: 'LT_SELENIUM_VERSION', type: 'string' },
+        timezone:        { env: 'LT_TIMEZONE', type: 'string' },
+        console:         { env: 'LT_CONSOLE', type: 'boolean', default: false },
+        network:         { env: 'LT_NETWORK', type: 'boolean', default: false },
+        video:           { env: 'LT_VIDEO', type: 'boolean', default: false },
+        screenshot:      { env: 'LT_SCREENSHOT', type: 'boolean', default: false },
+        visual:          { env: 'LT_VISUAL', type: 'boolean', default: false },
+        w3c:             { env: 'LT_W3C', type: 'boolean', default: false },
+        safariCookies:   { env: 'LT_SAFARI_COOKIES', type: 'boolean', default: false },
+        safariPopups:    { env: 'LT_SAFARI_POPUPS', type: 'boolean', default: false },
+        incompatible:    { env: 'LT_INCOMPATIBLE_CAPABILITIES', type: 'string', values: INCOMPATIBLE_MODES, default: 'drop' },
+    },
+
+    session: {
+        retries:         { env: 'LT_SESSION_RETRIES', type: 'integer', min: 0, default: 3 },
+        retryDelay:      { env: 'LT_SESSION_RETRY_DELAY', type: 'integer', min: 0, default: 5 },
+        retryMaxDelay:   { env: 'LT_SESSION_RETRY_MAX_DELAY', type: 'integer', min: 0, default: 60 },
+        shutdownTimeout: { env: 'LT_SHUTDOWN_TIMEOUT', type: 'integer', min: 1, default: 10 },
+        dryRun:          { env: 'LT_DRY_RUN', type: 'boolean', default: false },
+        dryRunFormat:    { env: 'LT_DRY_RUN_FORMAT', type: 'string', values: DRY_RUN_FORMATS, default: 'table' },
+    },
+
+    screenshots: {
+        maxHeight:   { env: 'LT_FULL_PAGE_MAX_HEIGHT', type: 'integer', min: 1, default: 16384 },
+        scrollDelay: { env: 'LT_FULL_PAGE_SCROLL_DELAY', type: 'integer', min: 0, default: 100 },
+    },
+
+    artifacts: {
+        download:    { env: 'LT_DOWNLOAD_ARTIFACTS', type: 'boolean', default: false },
+        dir:         { env: 'LT_ARTIFACTS_DIR', type: 'string', default: 'lambdatest-artifacts' },
+        types:       { env: 'LT_ARTIFACT_TYPES', type: 'list', values: ARTIFACT_TYPES, default: ARTIFACT_TYPES },
+        concurrency: { env: 'LT_ARTIFACT_CONCURRENCY', type: 'integer', min: 1, default: 3 },
+        retries:     { env: 'LT_ARTIFACT_RETRIES', type: 'integer', min: 0, default: 5 },
+    },
+
+    reporting: {
+        tags:         { env: 'LT_TAGS', type: 'list', default: [] },
+        formatReason: { type: 'function' },
+        retries:      { env: 'LT_REPORT_RETRIES', type: 'integer', min: 0, default: 3 },
+    },
+
+    catalog: {
+        cacheDir:    { env: 'LT_CATALOG_CACHE_DIR', type: 'string', default: '.lambdatest/cache' },
+        cacheTtl:    { env: 'LT_CATALOG_CACHE_TTL', type: 'integer', min: 0, default: 24 * 60 * 60 },
+        refresh:     { env: 'LT_CATALOG_REFRESH', type: 'boolean', default: false },
+        concurrency: { env: 'LT_CATALOG_CONCURRENCY', type: 'integer', min: 1, default: 5 },
+        validate:    { env: 'LT_VALIDATE_ALIASES', type: 'boolean', default: true },
+    },
+
+    logging: {
+        trace:           { env: 'LT_ENABLE_TRACE', type: 'boolean', default: false },
+        level:           { env: 'LT_LOG_LEVEL', type: 'string', values: LOG_LEVELS, default: (config) => config.logging.trace ? 'trace' : 'info' },
+        format:          { env: 'LT_LOG_FORMAT', type: 'string', values: LOG_FORMATS, default: 'human' },
+        file:            { env: 'LT_LOG_FILE', type: 'string' },
+        sessionUrls:     { env: 'LOG_LT_SESSION_URL', type: 'boolean', default: false },
+        manifestPath:    { env: 'LT_SESSION_MANIFEST_PATH', legacyEnv: 'LT_SESSION_LOG_PATH', type: 'string', default: 'lambdatest-sessions' },
+        manifestFormats: { env: 'LT_SESSION_MANIFEST_FORMATS', type: 'list', values: MANIFEST_FORMATS, default: MANIFEST_FORMATS },
+        redactKeys:      { env: 'LT_REDACT_KEYS', type: 'list', default: [] },
+    },
+};
+
+let cachedConfig = null;
+
+/**
+ * Removes trailing slashes from an endpoint URL so that paths can be appended to it safely.
+ *
+ * @function _trimUrl
+ *
+ * @param {string} url - The endpoint URL to be trimmed.
+ *
+ * @returns {string} The URL without trailing slashes.
+ */
+function _trimUrl (url) {
+    return url.replace(/\/+$/, '');
+}
+
+/**
+ * Normalizes a WebDriver hub endpoint to a full URL.
+ * A bare host (optionally with a port), as accepted by earlier versions, is expanded to
+ * "https://<host>:443/wd/hub"; a value with a scheme is used as is, including its port and path.
+ *
+ * @function _normalizeHubUrl
+ *
+ * @param {string} hub - The hub host or full hub URL.
+ *
+ * @returns {string} The full hub URL without credentials.
+ *
+ * @example
+ * _normalizeHubUrl('hub.lambdatest.com'); // 'https://hub.lambdatest.com:443/wd/hub'
+ * _normalizeHubUrl('http://localhost:4444/wd/hub'); // 'http://localhost:4444/wd/hub'
+ */
+function _normalizeHubUrl (hub) {
+    if (/^[a-z][a-z\d+.-]*:\/\//i.test(hub)) return _trimUrl(hub);
+
+    const host = _trimUrl(hub);
+
+    return /:\d+$/.test(host)
+        ? `https://${host}/wd/hub`
+        : `https://${host}:443/wd/hub`;
+}
+
+/**
+ * Parses a URL.
+ *
+ * @function _parseUrl
+ *
+ * @param {string} url - The URL.
+ *
+ * @returns {URL|null} The parsed URL, or null if it is not a valid absolute URL.
+ */
+function _parseUrl (url) {
+    try {
+        return new URL(url);
+    }
+    catch {
+        return null;
+    }
+}
+
+/**
+ * Parses and checks a single option value against its schema entry.
+ *
+ * @function _parseValue
+ *
+ * @param {Object} option - The schema entry of the option.
+ * @param {*} value - The raw value from the config file or environment.
+ * @param {boolean} fromEnv - Whether the value comes from an environment variable (and is therefore a string).
+ *
+ * @returns {*} The parsed value.
+ *
+ * @throws {Error} Throws an error describing the expected value if the value is invalid.
+ */
+function _parseValue (option, value, fromEnv) {
+    switch (option.type) {
+        case 'boolean': {
+            if (typeof value === 'boolean') return value;
+
+            const text = fromEnv ? value.trim().toLowerCase() : null;
+
+            if (TRUE_VALUES.includes(text)) return true;
+            if (FALSE_VALUES.includes(text)) return false;
+            throw new Error('expected true or false');
+        }
+
+        case 'integer': {
+            const number = fromEnv && /^\s*-?\d+\s*$/.test(value) ? Number(value) : value;
+            const min = 'min' in option ? option.min : -Infinity;
+            const max = 'max' in option ? option.max : Infinity;
+
+            if (!Number.isInteger(number) || number < min || number > max) {
+                throw new Error(
+                    'max' in option
+                        ? `expected an integer between ${min} and ${max}`
+                        : `expected an integer greater than or equal to ${min}`,
+                );
+            }
+            return number;
+        }
+
+        case 'url':
+        case 'hub': {
+            if (typeof value !== 'string' || !value.trim())
+                throw new Error('expected a URL');
+
+            const url = option.type === 'hub' ? _normalizeHubUrl(value.trim()) : _trimUrl(value.trim());
+
+            if (!_parseUrl(url)) throw new Error('expected a URL with a scheme, for example https://host:port/path');
+            return url;
+        }
+
+        case 'template': {
+            if (typeof value !== 'string') throw new Error('expected a string');
+
+            const problems = validateTemplate(value);
+
+            if (problems.length) throw new Error(problems.join('; '));
+            return value;
+        }
+
+        case 'list': {
+            const items = fromEnv ? value.split(',') : value;
+
+            if (!Array.isArray(items) || items.some((item) => typeof item !== 'string'))
+                throw new Error('expected a list of strings');
+
+            const list = items.map((item) => item.trim()).filter(Boolean);
+
+            if (option.values && list.some((item) => !option.values.includes(item)))
+                throw new Error(`expected a list of ${option.values.join(', ')}`);
+            return list;
+        }
+
+        case 'function':
+            if (typeof value !== 'function') throw new Error('expected a function (in lambdatest.config.js)');
+            return value;
+
+        default:
+            if (typeof value !== 'string') throw new Error('expected a string');
+            if (option.values && !option.values.includes(value))
+                throw new Error(`expected one of ${option.values.join(', ')}`);
+            return value;
+    }
+}
+
+/**
+ * Describes a raw value for error messages, hiding secrets.
+ *
+ * @function _describeValue
+ *
+ * @param {Object} option - The schema entry of the option.
+ * @param {*} value - The raw value.
+ *
+ * @returns {string} A printable representation of the value.
+ */
+function _describeValue (option, value) {
+    if (option.secret) return '<hidden>';
+    return typeof value === 'string' ? `'${value}'` : JSON.stringify(value);
+}
+
+/**
+ * Reads a JavaScript or JSON config file. .testcaferc.json is read as JSON5, as TestCafe does.
+ *
+ * @function _readConfigFile
+ *
+ * @param {string} filePath - The absolute path of the file.
+ *
+ * @returns {Object} The exported or parsed content of the file.
+ *
+ * @throws {ConfigError} Throws a ConfigError if the file cannot be read or parsed.
+ */
+function _readConfigFile (filePath) {
+    try {
+        if (/\.c?js$/.test(filePath)) {
+            const exported = require(filePath);
+
+            return exported && exported.__esModule ? exported.default : exported;
+        }
+        const text = fs.readFileSync(filePath, 'utf8');
+
+        // TestCafe reads .testcaferc.json as JSON5, which allows comments.
+        return path.basename(filePath) === '.testcaferc.json' ? JSON5.parse(text) : JSON.parse(text);
+    }
+    catch (err) {
+        throw new ConfigError([`${filePath}: ${err.message}`]);
+    }
+}
+
+/**
+ * Locates and reads the LambdaTest section of the project configuration.
+ * The lookup order is LT_CONFIG_PATH, lambdatest.config.{js,json} and finally the `lambdatest` key of
+ * a .testcaferc file in the working directory.
+ *
+ * @function _findConfigFile
+ *
+ * @param {string} cwd - The directory to search in.
+ * @param {Object} env - The environment variables.
+ *
+ * @returns {{ file: string|null, options: Object }} The path of the file used and its LambdaTest options.
+ *
+ * @throws {ConfigError} Throws a ConfigError if the file cannot be read or parsed.
+ */
+function _findConfigFile (cwd, env) {
+    if (env[CONFIG_PATH_ENV]) {
+        const file = path.resolve(cwd, env[CONFIG_PATH_ENV]);
+
+        if (!fs.existsSync(file))
+            throw new ConfigError([`${CONFIG_PATH_ENV}: file ${file} does not exist`]);
+
+        return { file, options: _readConfigFile(file) };
+    }
+
+    for (const name of CONFIG_FILES) {
+        const file = path.join(cwd, name);
+
+        if (fs.existsSync(file)) return { file, options: _readConfigFile(file) };
+    }
+
+    for (const name of TESTCAFE_CONFIG_FILES) {
+        const file = path.join(cwd, name);
+
+        // Only parse .testcaferc.json when it may have a LambdaTest section
+        if (
+            !fs.existsSync(file) ||
+            name.endsWith('.json') &&
+                !fs.readFileSync(file, 'utf8').includes(TESTCAFE_CONFIG_KEY)
+        )
+            continue;
+
+        const testcafeConfig = _readConfigFile(file);
+
+        if (testcafeConfig && TESTCAFE_CONFIG_KEY in testcafeConfig)
+            return { file, options: testcafeConfig[TESTCAFE_CONFIG_KEY] };
+    }
+
+    return { file: null, options: {} };
+}
+
+/**
+ * Reports keys of the config file that are not part of the schema.
+ *
+ * @function _checkUnknownKeys
+ *
+ * @param {Object} options - The options read from the config file.
+ * @param {string} file - The path of the config file.
+ * @param {string[]} problems - The list the problems are appended to.
+ *
+ * @returns {void}
+ */
+function _checkUnknownKeys (options, file, problems) {
+    const sections = Object.keys(CONFIG_SCHEMA);
+
+    for (const section of Object.keys(options)) {
+        if (!sections.includes(section)) {
+            const [suggestion] = closestMatches(section, sections, 1, 3);
+
+            problems.push(
+                `${file}: unknown section '${section}'` +
+                    (suggestion ? `, did you mean '${suggestion}'?` : ''),
+            );
+            continue;
+        }
+
+        const value = options[section];
+
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            problems.push(`${file}: '${section}' must be an object`);
+            continue;
+        }
+
+        const keys = Object.keys(CONFIG_SCHEMA[section]);
+
+        for (const key of Object.keys(value)) {
+            if (keys.includes(key)) continue;
+
+            const [suggestion] = closestMatches(key, keys, 1, 3);
+
+            problems.push(
+                `${file}: unknown option '${section}.${key}'` +
+                    (suggestion ? `, did you mean '${section}.${suggestion}'?` : ''),
+            );
+        }
+    }
+}
+
+/**
+ * Loads, merges and validates the provider configuration.
+ * Values come from the environment first, then from the config file, then from the schema defaults.
+ * Where each value came from is kept in the non-enumerable `sources` property, keyed by `<section>.<key>`:
+ * the name of the environment variable, the path of the config file or "default".
+ *
+ * @function loadConfig
+ *
+ * @param {Object} [options] - Loader options.
+ * @param {string} [options.cwd=process.cwd()] - The directory the config file is searched in.
+ * @param {Object} [options.env=process.env] - The environment variables.
+ *
+ * @returns {Object} The resolved configuration, grouped by section.
+ *
+ * @throws {ConfigError} Throws a ConfigError listing every invalid, mistyped or unknown option.
+ */
+function loadConfig ({ cwd = process.cwd(), env = process.env } = {}) {
+    const { file, options } = _findConfigFile(cwd, env);
+    const problems = [];
+    const config = {};
+    const sources = {};
+
+    if (!options || typeof options !== 'object' || Array.isArray(options))
+        throw new ConfigError([`${file}: the LambdaTest configuration must be an object`]);
+
+    _checkUnknownKeys(options, file, problems);
+
+    for (const [section, sectionSchema] of Object.entries(CONFIG_SCHEMA)) {
+        const fileSection = options[section] && typeof options[section] === 'object' ? options[section] : {};
+
+        config[section] = {};
+
+        for (const [key, option] of Object.entries(sectionSchema)) {
+            const envName = [option.env, option.legacyEnv].find((name) => name && typeof env[name] === 'string' && env[name] !== '');
+            const fromEnv = envName !== void 0;
+            const rawValue = fromEnv ? env[envName] : fileSection[key];
+
+            if (rawValue === void 0 || rawValue === null) {
+                const defaultValue = typeof option.default === 'function' ? option.default(config) : option.default;
+
+                config[section][key] = defaultValue === void 0 ? defaultValue : _parseValue(option, defaultValue, false);
+                sources[`${section}.${key}`] = 'default';
+                continue;
+            }
+
+            try {
+                config[section][key] = _parseValue(option, rawValue, fromEnv);
+                sources[`${section}.${key}`] = fromEnv ? envName : file;
+            }
+            catch (err) {
+                const origin = fromEnv ? envName : `${file}: ${section}.${key}`;
+
+                problems.push(`${origin}: ${err.message}, got ${_describeValue(option, rawValue)}`);
+            }
+        }
+    }
+
+    if (problems.length) throw new ConfigError(problems);
+
+    Object.defineProperty(config, 'file', { value: file });
+    Object.defineProperty(config, 'sources', { value: sources });
+
+    return config;
+}
+
+/**
+ * Returns the provider configuration, loading it on first use.
+ *
+ * @function getConfig
+ *
+ * @returns {Object} The resolved configuration, grouped by section.
+ *
+ * @throws {ConfigError} Throws a ConfigError if the configuration is invalid.
+ */
+function getConfig () {
+    if (!cachedConfig) cachedConfig = loadConfig();
+
+    return cachedConfig;
+}
+
+/**
+ * Drops the cached configuration so that the next getConfig() call reloads it.
+ *
+ * @function resetConfig
+ *
+ * @returns {void}
+ */
+function resetConfig () {
+    cachedConfig = null;
+}
+
+export default {
+    CONFIG_SCHEMA,
+    getConfig,
+    loadConfig,
+    resetConfig,
+};
@@ -0,0 +1,88 @@
+'use strict';
+import { getConfig } from './config';
+import { redact } from './redact';
+import { _describeConfigSource, _parseCapabilities } from './util';
+import { isW3CCapabilities } from './w3c-capabilities';
+
+/**
+ * Describes the tunnel the sessions would use: the existing tunnel set by name, or the pool the provider starts.
+ *
+ * @function _getTunnel
+ *
+ * @returns {{ name: string, source: string }} The tunnel, and where the option that sets it came from.
+ */
+function _getTunnel () {
+    const { tunnel } = getConfig();
+
+    if (tunnel.name) return { name: tunnel.name, source: _describeConfigSource('tunnel.name') };
+
+    return { name: `from a pool of ${tunnel.number}`, source: _describeConfigSource('tunnel.number') };
+}
+
+/**
+ * Resolves the capabilities of browser aliases the way openBrowser does, without starting tunnels or sessions.
+ *
+ * @async
+ * @function resolveDryRun
+ *
+ * @param {string[]} aliases - The browser aliases.
+ * @param {string[]} [catalog=[]] - The browser aliases returned by _getBrowserList, used to resolve version keywords.
+ *
+ * @returns {Promise<Object[]>} One entry per alias: `alias`, `protocol` ("w3c" or "legacy"), `tunnel` (its `name`
+ *                              and `source`), `capabilities` (secrets redacted) and `sources`, the origin of each
+ *                              capability.
+ *
+ * @throws {Error} Throws an error if the capabilities of an alias cannot be resolved, e.g. an invalid capability file.
+ */
+async function resolveDryRun (aliases, catalog = []) {
+    const entries = [];
+    const tunnel = _getTunnel();
+
+    for (const alias of aliases) {
+        const sources = {};
+        const capabilities = await _parseCapabilities(`dry-run-${entries.length + 1}`, alias, catalog, sources);
+
+        if (capabilities instanceof Error) throw capabilities;
+
+        entries.push({
+            alias,
+            protocol:     isW3CCapabilities(capabilities) ? 'w3c' : 'legacy',
+            tunnel,
+            capabilities: redact(capabilities),
+            sources,
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * Renders the result of a dry run.
+ *
+ * @function formatDryRun
+ *
+ * @param {Object[]} entries - The entries returned by resolveDryRun.
+ * @param {string} format - "json", or "table" for the tunnel and a table of capabilities, values and sources per alias.
+ *
+ * @returns {string} The rendered result.
+ */
+function formatDryRun (entries, format) {
+    if (format === 'json') return JSON.stringify(entries, null, 4);
+
+    return entries
+        .map(({ alias, protocol, tunnel, capabilities, sources }) => {
+            const rows = [['Capability', 'Value', 'Source']].concat(
+                Object.entries(capabilities).map(([key, value]) => [key, JSON.stringify(value), sources[key] || '']),
+            );
+            const widths = [0, 1].map((column) => Math.max(...rows.map((row) => row[column].length)));
+
+            return `${alias} (${protocol} protocol)\n  Tunnel: ${tunnel.name} (${tunnel.source})\n` +
+                rows.map((row) => `  ${row[0].padEnd(widths[0])}  ${row[1].padEnd(widths[1])}  ${row[2]}`.trimEnd()).join('\n');
+        })
+        .join('\n\n');
+}
+
+export default {
+    formatDryRun,
+    resolveDryRun,
+};
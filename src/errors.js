@@ -0,0 +1,53 @@
+'use strict';
+
+/**
+ * Raised when the provider configuration (config file or environment variables) is invalid.
+ *
+ * @class ConfigError
+ *
+ * @param {string[]} problems - One human readable line per invalid or unknown option.
+ */
+class ConfigError extends Error {
+    constructor (problems) {
+        super(
+            'Invalid LambdaTest configuration:\n' +
+                problems.map((problem) => ` - ${problem}`).join('\n'),
+        );
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Raised when a tunnel does not report that it is running within the configured start timeout,
+ * or when its process fails to start.
+ *
+ * @class TunnelStartError
+ *
+ * @param {Object} details - What is known about the failure.
+ * @param {string} details.tunnelName - The name of the tunnel.
+ * @param {string} details.reason - Why the tunnel is considered failed.
+ * @param {string} details.hint - The likely cause (authentication, proxy or network) and what to check.
+ * @param {string} details.logFile - The tunnel log file.
+ * @param {string[]} details.logTail - The last lines of the tunnel log file.
+ */
+class TunnelStartError extends Error {
+    constructor ({ tunnelName, reason, hint, logFile, logTail }) {
+        const log = logTail.length
+            ? `Last lines of ${logFile}:\n` + logTail.map((line) => `    ${line}`).join('\n')
+            : `The tunnel log ${logFile} is empty or missing.`;
+
+        super(`LambdaTest tunnel '${tunnelName}' did not start: ${reason}\nHint: ${hint}\n${log}`);
+        this.name = 'TunnelStartError';
+        this.tunnelName = tunnelName;
+        this.reason = reason;
+        this.hint = hint;
+        this.logFile = logFile;
+        this.logTail = logTail;
+    }
+}
+
+export default {
+    ConfigError,
+    TunnelStartError,
+};
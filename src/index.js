@@ -1,395 +1,705 @@
-'use strict';
-import wd from 'wd';
-import fs from 'fs/promises';
-
-import {
-    LT_AUTH_ERROR,
-    PROCESS_ENVIRONMENT,
-    AUTOMATION_DASHBOARD_URL,
-    AUTOMATION_HUB_URL,
-    MOBILE_AUTOMATION_HUB_URL,
-    _connect,
-    _destroy,
-    _getBrowserList,
-    _parseCapabilities,
-    _saveFile,
-    _updateJobStatus,
-    showTrace,
-    LT_TUNNEL_NUMBER,
-} from './util';
-
-const WEB_DRIVER_PING_INTERVAL = 30 * 1000;
-
-wd.configureHttp({
-    timeout: 15 * 60 * 1000,
-
-    retries: -1,
-});
-
-export default {
-    // Multiple browsers support
-
-    isMultiBrowser: true,
-
-    browserNames: [],
-    openedBrowsers: {},
-
-    /**
-     * Asynchronously starts a browser session using WebDriver and initializes the browser with the given capabilities and URL.
-     * 
-     * @async
-     * @function _startBrowser
-     * 
-     * @param {string} id - The unique identifier for the browser session.
-     * @param {string} url - The URL to navigate the browser to after initialization.
-     * @param {Object} capabilities - The desired capabilities for the browser session, which may include browser type, device type, platform, etc.
-     * @param {boolean} capabilities.isRealMobile - Flag indicating if the session is on a real mobile device.
-     * 
-     * @throws {Error} Throws an error if browser initialization or navigation fails.
-     * 
-     * @returns {Promise<void>} Returns a promise that resolves when the browser session has started successfully.
-    */
-    async _startBrowser (id, url, capabilities) {
-        showTrace('StartBrowser Initiated for ', id);
-        console.log('capabilities', capabilities);
-        let webDriver = await wd.promiseChainRemote(
-            `https://${PROCESS_ENVIRONMENT.LT_USERNAME}:${PROCESS_ENVIRONMENT.LT_ACCESS_KEY}@${AUTOMATION_HUB_URL}:443/wd/hub`,
-            443,
-        );
-
-        if (capabilities.isRealMobile) {
-            webDriver = await wd.promiseChainRemote(
-                `https://${PROCESS_ENVIRONMENT.LT_USERNAME}:${PROCESS_ENVIRONMENT.LT_ACCESS_KEY}@${MOBILE_AUTOMATION_HUB_URL}:443/wd/hub`,
-                443,
-            );
-        }
-
-        const pingWebDriver = () => ping(webDriver);
-
-        showTrace('webDriver ', webDriver);
-        showTrace('pingWebDriver', pingWebDriver);
-
-        webDriver.once('status', () => {
-            webDriver.pingIntervalId = setInterval(
-                pingWebDriver,
-                WEB_DRIVER_PING_INTERVAL,
-            );
-            showTrace('pingIntervalId', webDriver.pingIntervalId);
-        });
-        this.openedBrowsers[id] = webDriver;
-        showTrace(capabilities);
-        try {
-            await webDriver.init(capabilities).get(url);
-        }
-        catch (err) {
-            // for (let tunnel = 0; tunnel < LT_TUNNEL_NUMBER; tunnel++) await _destroy(tunnel);
-            this.dispose();
-
-            showTrace('Error while starting browser for ', id);
-            showTrace(err);
-            throw err;
-        }
-    },
-
-    /**
-     * Asynchronously takes a screenshot of the current browser session and saves it to the specified path.
-     * 
-     * @async
-     * @function _takeScreenshot
-     * 
-     * @param {string} id - The unique identifier for the browser session from which the screenshot will be taken.
-     * @param {string} screenshotPath - The file path where the screenshot will be saved.
-     * 
-     * @throws {Error} Throws an error if the screenshot could not be taken or the file could not be saved.
-     * 
-     * @returns {Promise<void>} Returns a promise that resolves when the screenshot has been successfully saved.
-    */
-    async _takeScreenshot (id, screenshotPath) {
-        const base64Data = await this.openedBrowsers[id].takeScreenshot();
-
-        await _saveFile(screenshotPath, base64Data);
-    },
-
-
-    /**
-     * Asynchronously opens a browser session and navigates to the specified URL.
-     * 
-     * @async
-     * @function openBrowser
-     * 
-     * @param {string} id - The unique identifier for the browser session.
-     * @param {string} pageUrl - The URL to navigate the browser to after initialization.
-     * @param {string} browserName - The name of the browser to be used in the session (e.g., Chrome, Firefox).
-     * 
-     * @throws {Error} Throws an error if required authentication credentials are missing, 
-     *                 capabilities parsing fails, or the browser cannot be started.
-     * 
-     * @returns {Promise<void>} Returns a promise that resolves when the browser session has been successfully started and navigated to the URL.
-    */
-    async openBrowser (id, pageUrl, browserName) {
-        if (
-            !PROCESS_ENVIRONMENT.LT_USERNAME ||
-            !PROCESS_ENVIRONMENT.LT_ACCESS_KEY
-        )
-            throw new Error(LT_AUTH_ERROR);
-
-        for (let tunnel = 0; tunnel < LT_TUNNEL_NUMBER; tunnel++)
-            await _connect(tunnel);
-
-        const capabilities = await _parseCapabilities(id, browserName);
-
-        if (capabilities instanceof Error) {
-            showTrace('openBrowser error on  _parseCapabilities', capabilities);
-            this.dispose();
-            throw capabilities;
-        }
-        await this._startBrowser(id, pageUrl, capabilities);
-        const sessionUrl = ` ${AUTOMATION_DASHBOARD_URL}/logs/?sessionID=${this.openedBrowsers[id].sessionID} `;
-
-        if (PROCESS_ENVIRONMENT.LOG_LT_SESSION_URL) {
-            const filePath =
-                PROCESS_ENVIRONMENT.LT_SESSION_LOG_PATH || 'sessionUrls.txt';
-
-            await this.writeSessionUrlToFile(sessionUrl, filePath);
-        }
-
-        showTrace('sessionURL', sessionUrl);
-
-        this.setUserAgentMetaInfo(id, sessionUrl);
-    },
-
-    /**
-     * Asynchronously closes the browser session for the given ID.
-     * 
-     * @async
-     * @function closeBrowser
-     * 
-     * @param {string} id - The unique identifier for the browser session to be closed.
-     * 
-     * @throws {Error} Logs and catches any errors that occur during the browser closure process.
-     * 
-     * @returns {Promise<void>} Returns a promise that resolves once the browser session is successfully closed or if no session is found.
-    */
-    async closeBrowser (id) {
-        showTrace('closeBrowser Initiated for ', id);
-        if (this.openedBrowsers[id]) {
-            showTrace(this.openedBrowsers[id].sessionID);
-            clearInterval(this.openedBrowsers[id].pingIntervalId);
-            if (this.openedBrowsers[id].sessionID) {
-                try {
-                    await this.openedBrowsers[id].quit();
-                }
-                catch (err) {
-                    showTrace(err);
-                }
-            }
-            else {
-                showTrace('SessionID not found for ', id);
-                showTrace(this.openedBrowsers[id]);
-            }
-        }
-        else showTrace('Browser not found in OPEN STATE for ', id);
-    },
-
-    /**
-     * Asynchronously initializes the browser names by retrieving the list of available browsers.
-     * 
-     * @async
-     * @function init
-     * 
-     * @returns {Promise<void>} Returns a promise that resolves when the browser names have been successfully retrieved and initialized.
-     * 
-     * @throws {Error} Throws an error if the browser list cannot be retrieved.
-    */
-    async init () {
-        this.browserNames = await _getBrowserList();
-    },
-
-    /**
-     * Asynchronously disposes of all active resources, including tunnels.
-     * 
-     * @async
-     * @function dispose
-     * 
-     * @throws {Error} Catches and logs any errors that occur during the tunnel destruction process.
-     * 
-     * @returns {Promise<void>} Returns a promise that resolves once all tunnels have been successfully destroyed.
-     */
-    async dispose () {
-        showTrace('Dispose Initiated ...');
-        try {
-            for (let tunnel = 0; tunnel < LT_TUNNEL_NUMBER; tunnel++)
-                await _destroy(tunnel);
-        }
-        catch (err) {
-            showTrace('Error while destroying ...');
-            showTrace(err);
-        }
-        showTrace('Dispose Completed');
-    },
-
-    /**
-     * Asynchronously retrieves the list of available browser names.
-     * 
-     * @async
-     * @function getBrowserList
-     * 
-     * @returns {Promise<string[]>} A promise that resolves to an array of browser names.
-    */
-    async getBrowserList () {
-        return this.browserNames;
-    },
-
-    /**
-     * Asynchronously checks if the current browser name is valid.
-     * 
-     * @async
-     * @function isValidBrowserName
-     * 
-     * @returns {Promise<boolean>} A promise that resolves to `true`, signifying that the browser name is valid.
-    */
-    async isValidBrowserName () {
-        return true;
-    },
-
-    /**
-     * Asynchronously resizes the browser window for the specified session.
-     * 
-     * @async
-     * @function resizeWindow
-     * 
-     * @param {string} id - The unique identifier for the browser session whose window is to be resized.
-     * @param {number} width - The new width of the browser window in pixels.
-     * @param {number} height - The new height of the browser window in pixels.
-     * 
-     * @returns {Promise<void>} Returns a promise that resolves when the window has been successfully resized.
-     * 
-     * @throws {Error} Throws an error if the window cannot be resized, such as if the session ID is invalid or the resize operation fails.
-     */
-    async resizeWindow (id, width, height) {
-        const _windowHandle = await this.openedBrowsers[id].windowHandles();
-
-        await this.openedBrowsers[id].windowSize(_windowHandle, width, height);
-    },
-
-    /**
-     * Asynchronously maximizes the browser window for the specified session.
-     * 
-     * @async
-     * @function maximizeWindow
-     * 
-     * @param {string} id - The unique identifier for the browser session whose window is to be maximized.
-     * 
-     * @returns {Promise<void>} Returns a promise that resolves when the window has been successfully maximized.
-     * 
-     * @throws {Error} Throws an error if the window cannot be maximized, such as if the session ID is invalid or the maximize operation fails.
-    */
-    async maximizeWindow (id) {
-        const _windowHandle = await this.openedBrowsers[id].windowHandles();
-
-        await this.openedBrowsers[id].maximize(_windowHandle);
-    },
-
-    /**
-     * Asynchronously takes a screenshot of the specified browser session and saves it to the given file path.
-     * 
-     * @async
-     * @function takeScreenshot
-     * 
-     * @param {string} id - The unique identifier for the browser session from which the screenshot will be taken.
-     * @param {string} screenshotPath - The file path where the screenshot will be saved.
-     * 
-     * @returns {Promise<void>} Returns a promise that resolves when the screenshot has been successfully taken and saved.
-     * 
-     * @throws {Error} Throws an error if the screenshot cannot be taken or saved.
-    */
-    async takeScreenshot (id, screenshotPath) {
-        await this._takeScreenshot(id, screenshotPath);
-    },
-
-    /**
-     * Asynchronously reports the result of a job associated with a browser session.
-     * 
-     * @async
-     * @function reportJobResult
-     * 
-     * @param {string} id - The unique identifier for the browser session associated with the job.
-     * @param {string} jobResult - The result of the job to be reported (e.g., "passed", "failed").
-     * @param {Object} jobData - Additional data related to the job that may be useful for reporting.
-     * 
-     * @returns {Promise<null|Object>} Returns a promise that resolves to the result of the job status update or null if no valid session is found.
-     * 
-     * @throws {Error} Throws an error if the job status update fails.
-    */
-    async reportJobResult (id, jobResult, jobData) {
-        if (this.openedBrowsers[id] && this.openedBrowsers[id].sessionID) {
-            const sessionID = this.openedBrowsers[id].sessionID;
-
-            return await _updateJobStatus(
-                sessionID,
-                jobResult,
-                jobData,
-                this.JOB_RESULT,
-            );
-        }
-        return null;
-    },
-
-    /**
-     * Asynchronously writes the session URL to a specified file.
-     * 
-     * @async
-     * @function writeSessionUrlToFile
-     * 
-     * @param {string} sessionUrl - The URL of the session to be written to the file.
-     * @param {string} filePath - The path of the file where the session URL will be appended.
-     * 
-     * @throws {Error} Logs an error if the file writing fails.
-     * 
-     * @returns {Promise<void>} Returns a promise that resolves when the session URL has been successfully written to the file.
-    */
-    async writeSessionUrlToFile (sessionUrl, filePath) {
-        const dataToAppend = `${sessionUrl}\n`;
-
-        try {
-            await fs.appendFile(filePath, dataToAppend);
-        }
-        catch (err) {
-            console.error('Error writing session URLs to file:', err);
-        }
-    },
-};
-
-/**
- * Handles the result of a WebDriver ping, logging errors or ignoring responses as necessary.
- * 
- * @function handlePingError
- * 
- * @param {Error|null} err - The error object if an error occurred during the ping, or null if there was no error.
- * @param {Object} [res] - The response object from the ping, if available.
- * 
- * @returns {void} This function does not return a value.
- */
-function handlePingError (err, res) {
-    if (err) {
-        showTrace('ping error :');
-        showTrace(err);
-    }
-    else {
-        showTrace('ignore ping response :');
-        showTrace(res);
-    }
-}
-
-/**
- * Pings the given WebDriver session to ensure it remains active.
- * 
- * @function ping
- * 
- * @param {Object} webDriver - The WebDriver instance to ping.
- * 
- * @returns {void} This function does not return a value.
- */
-function ping (webDriver) {
-    webDriver.safeExecute(1, handlePingError);
-}
+'use strict';
+import wd from 'wd';
+
+import { getAliasSource, isKnownAlias, normalizeOsName, parseAlias, suggestAliases } from './aliases';
+import { queueArtifacts, waitForArtifacts } from './artifacts';
+import { getSessionType } from './compatibility';
+import { getConfig } from './config';
+import { formatDryRun, resolveDryRun } from './dry-run';
+import { bindSession, getLogger } from './logger';
+import { captureScreenshot, saveScreenshot } from './screenshot';
+import { recordSession, writeSessionManifest } from './session-manifest';
+import { classifySessionError, getRetryDelay, isRetryableSessionError } from './session-retry';
+import { installShutdownHandlers } from './shutdown';
+import { acquireTunnel, releaseTunnel, stopTunnels } from './tunnel-pool';
+import { isW3CCapabilities, toW3CCapabilities } from './w3c-capabilities';
+import { createW3CDriver } from './w3c-driver';
+import { canResizeViewport, maximizeCurrentWindow, resizeViewport } from './window';
+import {
+    LT_AUTH_ERROR,
+    _getBrowserList,
+    _getHubUrl,
+    _parseCapabilities,
+    _summarizeJobResult,
+    _updateJobStatus,
+    sleep,
+} from './util';
+
+const WEB_DRIVER_PING_INTERVAL = 30 * 1000;
+const ABORTED_JOB_RESULT = 'aborted';
+const MOBILE_SESSION_TYPES = ['emulated', 'real'];
+
+wd.configureHttp({
+    timeout: 15 * 60 * 1000,
+
+    retries: -1,
+});
+
+export default {
+    // Multiple browsers support
+
+    isMultiBrowser: true,
+
+    browserNames:         [],
+    failedCatalogSources: [],
+    failedCatalogOs:      [],
+    catalogFromCache:     false,
+    catalogRefresh:       null,
+    openedBrowsers:       {},
+    // Set once dispose has run, so that the beforeExit cleanup after a normal run does not run it again.
+    disposed:             false,
+
+    /**
+     * Asynchronously starts a browser session using WebDriver and initializes the browser with the given capabilities and URL.
+     * 
+     * @async
+     * @function _startBrowser
+     * 
+     * @param {string} id - The unique identifier for the browser session.
+     * @param {string} url - The URL to navigate the browser to after initialization.
+     * @param {Object} capabilities - The desired capabilities for the browser session, which may include browser type, device type, platform, etc.
+     * @param {boolean} capabilities.isRealMobile - Flag indicating if the session is on a real mobile device.
+     * 
+     * @throws {Error} Throws an error if browser initialization or navigation fails.
+     * 
+     * @returns {Promise<void>} Returns a promise that resolves when the browser session has started successfully.
+    */
+    async _startBrowser (id, url, capabilities) {
+        const log = getLogger('session', id);
+
+        log.debug('Starting the browser with the capabilities', capabilities);
+
+        const webDriver = await this._createSession(id, capabilities);
+
+        try {
+            await webDriver.get(url);
+        }
+        catch (err) {
+            log.debug('Error while opening the test page', err);
+            await this._discardBrowser(id);
+            throw err;
+        }
+    },
+
+    /**
+     * Asynchronously cleans up after a browser that failed to start, leaving the other browsers and the tunnels
+     * running: releases its tunnel, clears its ping interval and quits its session if one was created.
+     * 
+     * @async
+     * @function _discardBrowser
+     * 
+     * @param {string} id - The unique identifier for the browser session.
+     * 
+     * @returns {Promise<void>} Returns a promise that resolves once the browser has been cleaned up.
+    */
+    async _discardBrowser (id) {
+        const webDriver = this.openedBrowsers[id];
+
+        releaseTunnel(id);
+        if (!webDriver) return;
+
+        clearInterval(webDriver.pingIntervalId);
+        delete this.openedBrowsers[id];
+        if (!webDriver.sessionID) return;
+
+        try {
+            await webDriver.quit();
+        }
+        catch (err) {
+            getLogger('session', id).debug('Error while quitting the session', err);
+        }
+    },
+
+    /**
+     * Asynchronously creates the WebDriver session, retrying with exponential backoff when the grid
+     * is at capacity or the hub fails transiently. Authentication, capability and unknown errors are not retried.
+     * W3C sessions (LT_W3C or an LT:Options block) are created with the W3C protocol and translated capabilities,
+     * other sessions with the legacy wd client.
+     * 
+     * @async
+     * @function _createSession
+     * 
+     * @param {string} id - The unique identifier for the browser session.
+     * @param {Object} capabilities - The desired capabilities for the browser session.
+     * 
+     * @throws {Error} Throws the last session creation error, with its `sessionErrorClass` and the number of `attempts`,
+     *                 once it is not retryable or the retries are exhausted.
+     * 
+     * @returns {Promise<Object>} Returns a promise that resolves to the initialized WebDriver instance.
+    */
+    async _createSession (id, capabilities) {
+        const { session: sessionConfig } = getConfig();
+        const isW3C = isW3CCapabilities(capabilities);
+        const sessionCapabilities = isW3C ? toW3CCapabilities(capabilities) : capabilities;
+        const log = getLogger('session', id);
+
+        for (let attempt = 1; ; attempt++) {
+            const hubUrl = _getHubUrl(capabilities.isRealMobile);
+            const webDriver = isW3C ? createW3CDriver(hubUrl) : await wd.promiseChainRemote(hubUrl);
+
+            const pingWebDriver = () => ping(webDriver, log);
+
+            this.openedBrowsers[id] = webDriver;
+            log.trace(`Creating a ${isW3C ? 'W3C' : 'legacy'} session on ${hubUrl}`, sessionCapabilities);
+            try {
+                await webDriver.init(sessionCapabilities);
+                webDriver.startedAt = Date.now();
+                bindSession(id, webDriver.sessionID);
+                log.info('Session created');
+
+                webDriver.pingIntervalId = setInterval(
+                    pingWebDriver,
+                    WEB_DRIVER_PING_INTERVAL,
+                );
+                // Pings alone must not keep the process alive, so that sessions left open reach the beforeExit cleanup.
+                webDriver.pingIntervalId.unref();
+                return webDriver;
+            }
+            catch (err) {
+                const errorClass = classifySessionError(err);
+
+                err.sessionErrorClass = errorClass;
+                err.attempts = attempt;
+
+                if (!isRetryableSessionError(errorClass) || attempt > sessionConfig.retries) {
+                    log.debug('Error while creating the session', err);
+                    await this._discardBrowser(id);
+                    throw err;
+                }
+
+                const delay = getRetryDelay(attempt, sessionConfig);
+
+                log.warn(
+                    `Session creation failed (${errorClass}, attempt ${attempt} of ${sessionConfig.retries + 1}): ` +
+                        `${err.message.trim().split('\n').pop()} (retrying in ${(delay / 1000).toFixed(1)}s)`,
+                );
+                await sleep(delay);
+            }
+        }
+    },
+
+    /**
+     * Asynchronously takes a screenshot of the current browser session and saves it to the specified path.
+     * Missing directories are created.
+     * 
+     * @async
+     * @function _takeScreenshot
+     * 
+     * @param {string} id - The unique identifier for the browser session from which the screenshot will be taken.
+     * @param {string} screenshotPath - The file path where the screenshot will be saved.
+     * @param {number} [pageWidth] - The width of the page in CSS pixels; the viewport screenshot is cropped to it.
+     * @param {number} [pageHeight] - The height of the page in CSS pixels; the viewport screenshot is cropped to it.
+     * @param {boolean} [fullPage=false] - Whether to capture the whole page rather than the viewport.
+     * 
+     * @throws {Error} Throws an error if the screenshot could not be taken or the file could not be saved.
+     * 
+     * @returns {Promise<void>} Returns a promise that resolves when the screenshot has been successfully saved.
+    */
+    async _takeScreenshot (id, screenshotPath, pageWidth, pageHeight, fullPage = false) {
+        const webDriver = this.openedBrowsers[id];
+        const screenshot = await captureScreenshot(webDriver, {
+            browserId:    id,
+            pageWidth,
+            pageHeight,
+            fullPage,
+            isRealMobile: webDriver.isRealMobile,
+        });
+
+        await saveScreenshot(screenshot, screenshotPath);
+    },
+
+
+    /**
+     * Asynchronously opens a browser session and navigates to the specified URL.
+     * 
+     * @async
+     * @function openBrowser
+     * 
+     * @param {string} id - The unique identifier for the browser session.
+     * @param {string} pageUrl - The URL to navigate the browser to after initialization.
+     * @param {string} browserName - The name of the browser to be used in the session (e.g., Chrome, Firefox).
+     * 
+     * @throws {Error} Throws an error if required authentication credentials are missing, 
+     *                 capabilities parsing fails, or the browser cannot be started.
+     * @throws {TunnelStartError} Throws if no tunnel starts within the tunnel start timeout.
+     * @throws {Error} Throws after printing the resolved capabilities when LT_DRY_RUN is set, so that no session is opened.
+     * 
+     * @returns {Promise<void>} Returns a promise that resolves when the browser session has been successfully started and navigated to the URL.
+    */
+    async openBrowser (id, pageUrl, browserName) {
+        const { credentials, endpoints, session } = getConfig();
+
+        this.disposed = false;
+
+        if (session.dryRun) {
+            console.log(formatDryRun(await resolveDryRun([browserName], this.browserNames), session.dryRunFormat));
+            throw new Error(`LT_DRY_RUN is set: no session was opened for ${browserName}`);
+        }
+
+        if (!credentials.username || !credentials.accessKey)
+            throw new Error(LT_AUTH_ERROR);
+
+        const capabilities = await _parseCapabilities(
+            id,
+            browserName,
+            this.browserNames,
+        );
+
+        const log = getLogger('session', id);
+
+        if (capabilities instanceof Error) {
+            log.debug('Error while parsing the capabilities', capabilities);
+            throw capabilities;
+        }
+
+        try {
+            capabilities.tunnelName = await acquireTunnel(id);
+        }
+        catch (err) {
+            log.debug('Error while acquiring a tunnel', err);
+            releaseTunnel(id);
+            throw err;
+        }
+        await this._startBrowser(id, pageUrl, capabilities);
+        this.openedBrowsers[id].alias = browserName;
+        this.openedBrowsers[id].sessionType = getSessionType(capabilities);
+        this.openedBrowsers[id].isRealMobile = !!capabilities.isRealMobile;
+        const sessionUrl = ` ${endpoints.dashboard}/logs/?sessionID=${this.openedBrowsers[id].sessionID} `;
+
+        recordSession(id, {
+            alias:        browserName,
+            capabilities,
+            sessionId:    this.openedBrowsers[id].sessionID,
+            dashboardUrl: sessionUrl.trim(),
+            tunnel:       capabilities.tunnelName,
+            startedAt:    new Date(this.openedBrowsers[id].startedAt).toISOString(),
+        });
+
+        log.info(`Session URL: ${sessionUrl.trim()}`);
+
+        this.setUserAgentMetaInfo(id, sessionUrl);
+    },
+
+    /**
+     * Asynchronously closes the browser session for the given ID.
+     * 
+     * @async
+     * @function closeBrowser
+     * 
+     * @param {string} id - The unique identifier for the browser session to be closed.
+     * 
+     * @throws {Error} Logs and catches any errors that occur during the browser closure process.
+     * 
+     * @returns {Promise<void>} Returns a promise that resolves once the browser session is successfully closed or if no session is found.
+    */
+    async closeBrowser (id) {
+        const log = getLogger('session', id);
+
+        log.debug('Closing the browser');
+        releaseTunnel(id);
+        if (this.openedBrowsers[id]) {
+            clearInterval(this.openedBrowsers[id].pingIntervalId);
+            if (this.openedBrowsers[id].sessionID) {
+                try {
+                    await this.openedBrowsers[id].quit();
+                }
+                catch (err) {
+                    log.debug('Error while quitting the session', err);
+                }
+                const { alias, sessionID, isRealMobile } = this.openedBrowsers[id];
+
+                queueArtifacts(id, alias, sessionID, isRealMobile);
+            }
+            else
+                log.debug('No session ID: the session was not created');
+            recordSession(id, { endedAt: new Date().toISOString() });
+            delete this.openedBrowsers[id];
+        }
+        else log.debug('The browser is not open');
+    },
+
+    /**
+     * Asynchronously aborts every session that is still open: marks it as aborted on LambdaTest,
+     * quits it and clears its ping interval. Tunnels are stopped afterwards, unless dispose already ran and no
+     * session was left open. Called when the run is interrupted by a signal or ends with sessions left open.
+     * 
+     * @async
+     * @function _shutdown
+     * 
+     * @param {string} reason - The signal or event that triggered the shutdown.
+     * 
+     * @returns {Promise<void>} Returns a promise that resolves once the sessions and tunnels have been closed.
+    */
+    async _shutdown (reason) {
+        const ids = Object.keys(this.openedBrowsers);
+
+        getLogger('session').debug(`Shutdown (${reason}) of the open browsers`, ids);
+        await Promise.all(
+            ids.map(async (id) => {
+                const webDriver = this.openedBrowsers[id];
+                const log = getLogger('session', id);
+
+                clearInterval(webDriver.pingIntervalId);
+                delete this.openedBrowsers[id];
+                releaseTunnel(id);
+                if (!webDriver.sessionID) return;
+
+                recordSession(id, { status: ABORTED_JOB_RESULT, endedAt: new Date().toISOString() });
+
+                try {
+                    await _updateJobStatus(
+                        webDriver.sessionID,
+                        ABORTED_JOB_RESULT,
+                        {},
+                        { aborted: ABORTED_JOB_RESULT },
+                    );
+                }
+                catch (err) {
+                    log.debug('Error while marking the session as aborted', err);
+                }
+                try {
+                    await webDriver.quit();
+                }
+                catch (err) {
+                    log.debug('Error while quitting the session', err);
+                }
+            }),
+        );
+        if (ids.length || !this.disposed) await this.dispose();
+    },
+
+    /**
+     * Asynchronously initializes the browser names by retrieving the list of available browsers.
+     * 
+     * @async
+     * @function init
+     * 
+     * @returns {Promise<void>} Returns a promise that resolves when the browser names have been retrieved and initialized.
+     *                          Catalog sources that could not be fetched are recorded in `failedCatalogSources`,
+     *                          desktop OSes whose browsers could not be fetched in `failedCatalogOs`.
+     *                          Open sessions and tunnels are closed if the process is interrupted from then on.
+     * 
+     * @throws {ConfigError} Throws a ConfigError if the configuration file or environment variables are invalid.
+    */
+    async init () {
+        installShutdownHandlers((reason) => this._shutdown(reason));
+
+        this._setCatalog(await _getBrowserList());
+    },
+
+    /**
+     * Stores the browser catalog returned by _getBrowserList.
+     * 
+     * @function _setCatalog
+     * 
+     * @param {Object} catalog - The browser aliases, the failed sources and OSes, and whether the list came from the cache.
+     * 
+     * @returns {void}
+     */
+    _setCatalog ({ browsers, failedSources, failedOs, fromCache }) {
+        this.browserNames = browsers;
+        this.failedCatalogSources = failedSources;
+        this.failedCatalogOs = failedOs.map(normalizeOsName);
+        this.catalogFromCache = fromCache;
+    },
+
+    /**
+     * Asynchronously rebuilds a catalog that was served from the cache, once per run: a browser released after the
+     * cache was written is not in it. Concurrent callers share the rebuild.
+     * 
+     * @async
+     * @function _refreshCatalog
+     * 
+     * @returns {Promise<boolean>} A promise that resolves to `true` if the catalog came from the cache and was rebuilt.
+     */
+    async _refreshCatalog () {
+        if (!this.catalogRefresh) {
+            if (!this.catalogFromCache) return false;
+
+            this.catalogRefresh = _getBrowserList({ refresh: true }).then((catalog) => this._setCatalog(catalog));
+        }
+
+        await this.catalogRefresh;
+        return true;
+    },
+
+    /**
+     * Checks whether the part of the catalog a browser alias belongs to could not be fetched. For desktop browsers,
+     * only the OSes whose browsers could not be fetched are concerned, unless the whole source failed.
+     * 
+     * @function _isCatalogMissing
+     * 
+     * @param {string} browserName - The browser alias.
+     * 
+     * @returns {boolean} `true` if the alias cannot be checked against the catalog.
+     */
+    _isCatalogMissing (browserName) {
+        const source = getAliasSource(browserName);
+
+        if (!this.browserNames.length) return true;
+        if (!this.failedCatalogSources.includes(source)) return false;
+        if (source !== 'desktop' || !this.failedCatalogOs.length) return true;
+
+        return this.failedCatalogOs.includes(normalizeOsName(parseAlias(browserName).platform));
+    },
+
+    /**
+     * Asynchronously disposes of all active resources, including tunnels, waits for the artifact downloads
+     * (LT_DOWNLOAD_ARTIFACTS) and writes the session manifest when LOG_LT_SESSION_URL is enabled or artifacts
+     * were downloaded, as the manifest lists their paths.
+     * 
+     * @async
+     * @function dispose
+     * 
+     * @throws {Error} Catches and logs any errors that occur during the tunnel destruction process.
+     * 
+     * @returns {Promise<void>} Returns a promise that resolves once all tunnels have been successfully destroyed.
+     */
+    async dispose () {
+        const log = getLogger('session');
+
+        log.debug('Disposing of the tunnels');
+        try {
+            await stopTunnels();
+        }
+        catch (err) {
+            log.debug('Error while stopping the tunnels', err);
+        }
+
+        await waitForArtifacts();
+
+        const { artifacts, logging, sources } = getConfig();
+
+        if (logging.sessionUrls || artifacts.download) {
+            if (sources['logging.manifestPath'] === 'LT_SESSION_LOG_PATH')
+                log.warn('LT_SESSION_LOG_PATH is deprecated, use LT_SESSION_MANIFEST_PATH (the path without extension) instead.');
+            try {
+                await writeSessionManifest(logging);
+            }
+            catch (err) {
+                log.error('Error writing the LambdaTest session manifest', err);
+            }
+        }
+        this.disposed = true;
+        log.debug('Dispose completed');
+    },
+
+    /**
+     * Asynchronously retrieves the list of available browser names.
+     * 
+     * @async
+     * @function getBrowserList
+     * 
+     * @returns {Promise<string[]>} A promise that resolves to an array of browser names.
+    */
+    async getBrowserList () {
+        return this.browserNames;
+    },
+
+    /**
+     * Asynchronously checks if a browser alias matches a browser or device of the catalog.
+     * Unknown aliases are reported with the closest matching aliases. Validation is skipped when it is disabled
+     * or when the part of the catalog the alias belongs to could not be fetched. A catalog served from the cache
+     * is rebuilt once before an alias is rejected.
+     * 
+     * @async
+     * @function isValidBrowserName
+     * 
+     * @param {string} browserName - The browser alias, e.g. "Chrome@120.0:Windows 11".
+     * 
+     * @returns {Promise<boolean>} A promise that resolves to `true` if the alias is valid or cannot be checked.
+    */
+    async isValidBrowserName (browserName) {
+        if (!getConfig().catalog.validate) return true;
+
+        if (isKnownAlias(browserName, this.browserNames)) return true;
+
+        if (await this._refreshCatalog() && isKnownAlias(browserName, this.browserNames)) return true;
+
+        if (this._isCatalogMissing(browserName)) {
+            getLogger('capabilities').warn(
+                `Could not check the LambdaTest browser alias '${browserName}' because the browser list is unavailable.`,
+            );
+            return true;
+        }
+
+        const suggestions = suggestAliases(browserName, this.browserNames);
+
+        getLogger('capabilities').error(
+            `Unknown LambdaTest browser alias '${browserName}'.` +
+                (suggestions.length ? ` Did you mean ${suggestions.map((alias) => `'${alias}'`).join(', ')}?` : '') +
+                ' Run "npx lambdatest-browsers" to list the available aliases.',
+        );
+        return false;
+    },
+
+    /**
+     * Checks whether the window of a mobile session is resized or maximized, which the devices do not support.
+     * 
+     * @function _isWindowFixed
+     * 
+     * @param {string} id - The unique identifier for the browser session.
+     * @param {string} action - What TestCafe asked for, for the warning.
+     * 
+     * @returns {boolean} `true`, after warning that the action is skipped, if the session runs on a mobile device.
+     */
+    _isWindowFixed (id, action) {
+        if (!MOBILE_SESSION_TYPES.includes(this.openedBrowsers[id].sessionType)) return false;
+
+        getLogger('session', id).warn(`${action} is not supported on mobile devices, the window keeps the size of the screen.`);
+        return true;
+    },
+
+    /**
+     * Asynchronously checks whether the viewport of the specified session can be resized to the given dimensions,
+     * that is whether the window, browser chrome included, fits on the screen of the session.
+     * 
+     * @async
+     * @function canResizeWindowToDimensions
+     * 
+     * @param {string} id - The unique identifier for the browser session.
+     * @param {number} width - The requested viewport width in pixels.
+     * @param {number} height - The requested viewport height in pixels.
+     * 
+     * @returns {Promise<boolean>} Returns a promise that resolves to `true` if the window can be resized;
+     *                             `false` on mobile devices, whose window cannot be resized.
+     * 
+     * @throws {Error} Throws an error if the window of the session cannot be measured.
+     */
+    async canResizeWindowToDimensions (id, width, height) {
+        if (this._isWindowFixed(id, 'Resizing the window')) return false;
+
+        return await canResizeViewport(this.openedBrowsers[id], width, height);
+    },
+
+    /**
+     * Asynchronously resizes the browser window for the specified session so that its viewport has the given size.
+     * The browser chrome is measured and added to the window size. Mobile sessions are left as they are.
+     * 
+     * @async
+     * @function resizeWindow
+     * 
+     * @param {string} id - The unique identifier for the browser session whose window is to be resized.
+     * @param {number} width - The new width of the viewport in pixels.
+     * @param {number} height - The new height of the viewport in pixels.
+     * 
+     * @returns {Promise<void>} Returns a promise that resolves when the window has been successfully resized.
+     * 
+     * @throws {Error} Throws an error if the window cannot be resized, such as if the session ID is invalid or the resize operation fails.
+     */
+    async resizeWindow (id, width, height) {
+        if (this._isWindowFixed(id, 'Resizing the window')) return;
+
+        await resizeViewport(this.openedBrowsers[id], width, height, id);
+    },
+
+    /**
+     * Asynchronously maximizes the browser window for the specified session. Mobile sessions are left as they are.
+     * 
+     * @async
+     * @function maximizeWindow
+     * 
+     * @param {string} id - The unique identifier for the browser session whose window is to be maximized.
+     * 
+     * @returns {Promise<void>} Returns a promise that resolves when the window has been successfully maximized.
+     * 
+     * @throws {Error} Throws an error if the window cannot be maximized, such as if the session ID is invalid or the maximize operation fails.
+    */
+    async maximizeWindow (id) {
+        if (this._isWindowFixed(id, 'Maximizing the window')) return;
+
+        await maximizeCurrentWindow(this.openedBrowsers[id]);
+    },
+
+    /**
+     * Asynchronously takes a screenshot of the specified browser session and saves it to the given file path.
+     * 
+     * @async
+     * @function takeScreenshot
+     * 
+     * @param {string} id - The unique identifier for the browser session from which the screenshot will be taken.
+     * @param {string} screenshotPath - The file path where the screenshot will be saved.
+     * @param {number} [pageWidth] - The width of the page in CSS pixels, as measured by TestCafe.
+     * @param {number} [pageHeight] - The height of the page in CSS pixels, as measured by TestCafe.
+     * @param {boolean} [fullPage=false] - Whether to capture the whole page (`t.takeScreenshot({ fullPage: true })`).
+     * 
+     * @returns {Promise<void>} Returns a promise that resolves when the screenshot has been successfully taken and saved.
+     * 
+     * @throws {Error} Throws an error if the screenshot cannot be taken or saved.
+    */
+    async takeScreenshot (id, screenshotPath, pageWidth, pageHeight, fullPage) {
+        await this._takeScreenshot(id, screenshotPath, pageWidth, pageHeight, fullPage);
+    },
+
+    /**
+     * Asynchronously reports the result of a job associated with a browser session.
+     * 
+     * @async
+     * @function reportJobResult
+     * 
+     * @param {string} id - The unique identifier for the browser session associated with the job.
+     * @param {string} jobResult - The result of the job to be reported (e.g., "passed", "failed").
+     * @param {Object} jobData - Additional data related to the job that may be useful for reporting.
+     *                         The run duration is added unless TestCafe provides one.
+     * 
+     * @returns {Promise<null|Object>} Returns a promise that resolves to the result of the job status update, or null if no valid session
+     *                                 is found or the update still fails after the retries (the failure is logged, the run goes on).
+    */
+    async reportJobResult (id, jobResult, jobData) {
+        if (this.openedBrowsers[id] && this.openedBrowsers[id].sessionID) {
+            const { sessionID, startedAt } = this.openedBrowsers[id];
+            const data = { duration: Date.now() - startedAt, ...jobData };
+            const result = _summarizeJobResult(sessionID, jobResult, data, this.JOB_RESULT);
+
+            recordSession(id, {
+                status: jobResult === this.JOB_RESULT.done ? result.status : jobResult,
+                tests:  { total: result.total, passed: result.passed, failed: result.failed, skipped: result.skipped },
+            });
+
+            try {
+                return await _updateJobStatus(
+                    sessionID,
+                    jobResult,
+                    data,
+                    this.JOB_RESULT,
+                );
+            }
+            catch (err) {
+                getLogger('session', id).warn(`The status of session ${sessionID} could not be updated: ${err.message}`);
+            }
+        }
+        return null;
+    },
+};
+
+/**
+ * Handles the result of a WebDriver ping, logging errors or ignoring responses as necessary.
+ * 
+ * @function handlePingError
+ * 
+ * @param {Object} log - The session logger of the browser.
+ * @param {Error|null} err - The error object if an error occurred during the ping, or null if there was no error.
+ * @param {Object} [res] - The response object from the ping, if available.
+ * 
+ * @returns {void} This function does not return a value.
+ */
+function handlePingError (log, err, res) {
+    if (err)
+        log.debug('Ping error', err);
+    else
+        log.trace('Ignored ping response', res);
+}
+
+/**
+ * Pings the given WebDriver session to ensure it remains active.
+ * 
+ * @function ping
+ * 
+ * @param {Object} webDriver - The WebDriver instance to ping.
+ * @param {Object} log - The session logger of the browser.
+ * 
+ * @returns {void} This function does not return a value.
+ */
+function ping (webDriver, log) {
+    webDriver.safeExecute(1, (err, res) => handlePingError(log, err, res));
+}
@@ -0,0 +1,157 @@
+'use strict';
+import fs from 'fs';
+import path from 'path';
+import util from 'util';
+
+import { getConfig } from './config';
+import { redact, redactText } from './redact';
+
+// From the most to the least severe, as in the logging.level option.
+const LEVELS = ['error', 'warn', 'info', 'debug', 'trace'];
+const CONSOLE_METHODS = { error: 'error', warn: 'warn', info: 'log', debug: 'log', trace: 'log' };
+const DEFAULT_CONFIG = { level: 'info', format: 'human', file: void 0 };
+
+const sessionIds = new Map();
+
+let fileSinkFailed = false;
+
+/**
+ * Associates the WebDriver session of a browser with its browser id, so that every later log line of the browser
+ * carries the session ID.
+ *
+ * @function bindSession
+ *
+ * @param {string} browserId - The TestCafe browser id.
+ * @param {string} sessionId - The WebDriver session ID.
+ *
+ * @returns {void}
+ */
+function bindSession (browserId, sessionId) {
+    sessionIds.set(browserId, sessionId);
+}
+
+/**
+ * Returns the logging configuration. An invalid configuration falls back to the defaults rather than failing,
+ * so that it can still be reported through the regular error path.
+ *
+ * @function _getLoggingConfig
+ *
+ * @returns {{ level: string, format: string, file: string|undefined }} The level, format and file sink.
+ */
+function _getLoggingConfig () {
+    try {
+        return getConfig().logging;
+    }
+    // eslint-disable-next-line no-unused-vars
+    catch (err) {
+        return DEFAULT_CONFIG;
+    }
+}
+
+/**
+ * Converts errors to plain objects for JSON lines.
+ *
+ * @function _jsonReplacer
+ *
+ * @param {string} key - The key of the value.
+ * @param {*} value - The value.
+ *
+ * @returns {*} The value, or the name, message, stack and properties of an error.
+ */
+function _jsonReplacer (key, value) {
+    if (!(value instanceof Error)) return value;
+
+    return { name: value.name, message: value.message, stack: value.stack, ...value };
+}
+
+/**
+ * Renders a log entry. Human readable entries that span several lines repeat their prefix on every line,
+ * so that the lines of one browser can be found with grep.
+ *
+ * @function _formatEntry
+ *
+ * @param {Object} entry - The entry: `time`, `level`, `namespace`, `browserId`, `sessionId`, `message` and `data`.
+ * @param {string} format - "human" or "json".
+ *
+ * @returns {string} The rendered entry.
+ */
+function _formatEntry (entry, format) {
+    if (format === 'json') return JSON.stringify(entry, _jsonReplacer);
+
+    const context = entry.browserId === void 0
+        ? ''
+        : ` [${entry.browserId}${entry.sessionId ? ` ${entry.sessionId}` : ''}]`;
+    const prefix = `${entry.time} ${entry.level.toUpperCase().padEnd(5)} [${entry.namespace}]${context}`;
+    const data = !('data' in entry) ? '' : ` ${typeof entry.data === 'string'
+        ? entry.data
+        : util.inspect(entry.data, { breakLength: Infinity, depth: 4 })}`;
+
+    return `${entry.message}${data}`
+        .split('\n')
+        .map((line) => `${prefix} ${line}`)
+        .join('\n');
+}
+
+/**
+ * Writes a log entry to the console and, when `logging.file` is set, appends it to the log file.
+ *
+ * @function _log
+ *
+ * @param {string} namespace - The namespace of the logger.
+ * @param {string|undefined} browserId - The TestCafe browser id the entry is about, if any.
+ * @param {string} level - The level of the entry.
+ * @param {string} message - The message.
+ * @param {*} [data] - Additional data, e.g. an error or the capabilities.
+ *
+ * @returns {void}
+ */
+function _log (namespace, browserId, level, message, data) {
+    const config = _getLoggingConfig();
+
+    if (LEVELS.indexOf(level) > LEVELS.indexOf(config.level)) return;
+
+    const entry = { time: new Date().toISOString(), level, namespace };
+
+    if (browserId !== void 0) {
+        entry.browserId = browserId;
+        entry.sessionId = sessionIds.get(browserId);
+    }
+    entry.message = redactText(message);
+    if (data !== void 0) entry.data = redact(data);
+
+    const line = _formatEntry(entry, config.format);
+
+    console[CONSOLE_METHODS[level]](line);
+
+    if (config.file && !fileSinkFailed) {
+        try {
+            fs.appendFileSync(path.resolve(config.file), `${line}\n`);
+        }
+        catch (err) {
+            fileSinkFailed = true;
+            console.error(`Could not write the LambdaTest log file ${config.file}: ${err.message}`);
+        }
+    }
+}
+
+/**
+ * Creates a logger for a namespace, optionally bound to a browser.
+ *
+ * @function getLogger
+ *
+ * @param {string} namespace - The part of the provider that logs: "tunnel", "session", "api" or "capabilities".
+ * @param {string} [browserId] - The TestCafe browser id the entries are about; its session ID is added once bound.
+ *
+ * @returns {Object} The logger, with one method per level (`error`, `warn`, `info`, `debug`, `trace`), each taking
+ *                   a message and optional data. Entries below `logging.level` are dropped.
+ */
+function getLogger (namespace, browserId) {
+    return Object.fromEntries(
+        LEVELS.map((level) => [level, (message, data) => _log(namespace, browserId, level, message, data)]),
+    );
+}
+
+export default {
+    bindSession,
+    getLogger,
+};
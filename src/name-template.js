@@ -0,0 +1,157 @@
+'use strict';
+import fs from 'fs';
+import path from 'path';
+
+import { closestMatches } from './suggest';
+
+const PLACEHOLDER_PATTERN = /\{([^{}]*)\}/g;
+const ENV_PREFIX = 'env:';
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const PLACEHOLDERS = ['alias', 'browser', 'date', 'device', 'git.branch', 'git.sha', 'id', 'index', 'os', 'version'];
+
+const gitInfos = new Map();
+
+/**
+ * Checks a session or build name template.
+ *
+ * @function validateTemplate
+ *
+ * @param {string} template - The template, e.g. "{browser} {version} on {os} ({git.branch})".
+ *
+ * @returns {string[]} One message per invalid placeholder or unmatched brace; empty if the template is valid.
+ */
+function validateTemplate (template) {
+    const problems = [];
+
+    for (const [placeholder, name] of Array.from(template.matchAll(PLACEHOLDER_PATTERN))) {
+        if (name.startsWith(ENV_PREFIX)) {
+            if (!ENV_NAME_PATTERN.test(name.slice(ENV_PREFIX.length)))
+                problems.push(`'${placeholder}' must name an environment variable, e.g. '{env:CI_JOB_ID}'`);
+        }
+        else if (!PLACEHOLDERS.includes(name)) {
+            const suggestions = closestMatches(name, PLACEHOLDERS, 1, 3);
+
+            problems.push(
+                `unknown placeholder '${placeholder}'` +
+                    (suggestions.length ? `, did you mean '{${suggestions[0]}}'?` : '') +
+                    ` Known placeholders: ${PLACEHOLDERS.map((known) => `{${known}}`).join(', ')}, {env:NAME}`,
+            );
+        }
+    }
+
+    if (/[{}]/.test(template.replace(PLACEHOLDER_PATTERN, '')))
+        problems.push('unmatched \'{\' or \'}\'');
+
+    return problems;
+}
+
+/**
+ * Resolves the git directory of a working tree; `.git` may be a file pointing to it (worktrees, submodules).
+ *
+ * @function _findGitDir
+ *
+ * @param {string} cwd - The directory to start from; parent directories are searched too.
+ *
+ * @returns {string|null} The git directory, or null outside of a git working tree.
+ */
+function _findGitDir (cwd) {
+    for (let dir = path.resolve(cwd); ; dir = path.dirname(dir)) {
+        const gitPath = path.join(dir, '.git');
+
+        try {
+            if (fs.statSync(gitPath).isDirectory()) return gitPath;
+
+            const gitDir = /^gitdir:\s*(.+)$/m.exec(fs.readFileSync(gitPath, 'utf8'));
+
+            if (gitDir) return path.resolve(dir, gitDir[1].trim());
+        }
+        // eslint-disable-next-line no-unused-vars
+        catch (err) {
+            // No .git here, try the parent directory.
+        }
+
+        if (path.dirname(dir) === dir) return null;
+    }
+}
+
+/**
+ * Reads the current branch and commit from the local `.git` directory, without running git.
+ *
+ * @function getGitInfo
+ *
+ * @param {string} [cwd=process.cwd()] - The directory of the working tree.
+ *
+ * @returns {{ branch: string, sha: string }} The branch (empty when detached) and the commit sha (empty when unknown).
+ */
+function getGitInfo (cwd = process.cwd()) {
+    if (gitInfos.has(cwd)) return gitInfos.get(cwd);
+
+    const info = { branch: '', sha: '' };
+    const gitDir = _findGitDir(cwd);
+
+    try {
+        const head = fs.readFileSync(path.join(gitDir, 'HEAD'), 'utf8').trim();
+        const ref = /^ref:\s*(.+)$/.exec(head);
+
+        if (!ref) info.sha = head;
+        else {
+            info.branch = ref[1].replace(/^refs\/heads\//, '');
+
+            // Branch refs live in the common directory of worktrees, either loose or packed.
+            const commonDirFile = path.join(gitDir, 'commondir');
+            const commonDir = fs.existsSync(commonDirFile)
+                ? path.resolve(gitDir, fs.readFileSync(commonDirFile, 'utf8').trim())
+                : gitDir;
+            const looseRef = [gitDir, commonDir]
+                .map((dir) => path.join(dir, ref[1]))
+                .find((file) => fs.existsSync(file));
+
+            if (looseRef) info.sha = fs.readFileSync(looseRef, 'utf8').trim();
+            else {
+                const packedRef = fs.readFileSync(path.join(commonDir, 'packed-refs'), 'utf8')
+                    .split('\n')
+                    .find((line) => line.endsWith(` ${ref[1]}`));
+
+                if (packedRef) info.sha = packedRef.split(' ')[0];
+            }
+        }
+    }
+    // eslint-disable-next-line no-unused-vars
+    catch (err) {
+        // Not a git working tree, or a ref that cannot be read: the placeholders stay empty.
+    }
+
+    gitInfos.set(cwd, info);
+
+    return info;
+}
+
+/**
+ * Fills in the placeholders of a session or build name template. Placeholders without a value are left empty.
+ *
+ * @function renderTemplate
+ *
+ * @param {string} template - The template, checked beforehand with validateTemplate.
+ * @param {Object<string, string|number>} values - The values of `{alias}`, `{browser}`, `{version}`, `{os}`,
+ *                                                 `{device}`, `{index}`, `{id}` and `{date}`.
+ * @param {Object} [env=process.env] - The environment variables used by `{env:NAME}`.
+ *
+ * @returns {string} The name, with runs of spaces left by empty placeholders collapsed.
+ */
+function renderTemplate (template, values, env = process.env) {
+    const rendered = template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+        if (name.startsWith(ENV_PREFIX)) return env[name.slice(ENV_PREFIX.length)] || '';
+        if (name.startsWith('git.')) return getGitInfo()[name.slice('git.'.length)];
+
+        return values[name] === void 0 || values[name] === null ? '' : String(values[name]);
+    });
+
+    return rendered.replace(/\s{2,}/g, ' ').trim();
+}
+
+export default {
+    getGitInfo,
+    renderTemplate,
+    validateTemplate,
+};
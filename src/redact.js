@@ -0,0 +1,138 @@
+'use strict';
+import { getConfig } from './config';
+
+const HIDDEN = '<hidden>';
+const SECRET_KEY_PATTERN = /^(?:user(?:name)?|key|access_?key|password|proxy_?pass(?:word)?|secret|token)$/i;
+const URL_CREDENTIALS_PATTERN = /\b([a-z][a-z\d+.-]*:\/\/)[^\s/?#@]+@/gi;
+const MAX_DEPTH = 8;
+// Shorter secrets, e.g. a proxy password `test`, are only hidden as whole words: as substrings they would garble any text.
+const MIN_SUBSTRING_SECRET_LENGTH = 8;
+
+/**
+ * Collects the values that must never be logged: the access key and proxy password, as given and URL encoded,
+ * and the capability keys listed in `logging.redactKeys`.
+ *
+ * @function _getSecrets
+ *
+ * @returns {{ values: string[], keys: string[] }} The secret values and the lowercased keys to hide.
+ */
+function _getSecrets () {
+    try {
+        const { credentials, tunnel, logging } = getConfig();
+        const values = [credentials.accessKey, tunnel.proxyPass].filter(Boolean);
+
+        return {
+            values: Array.from(new Set(values.concat(values.map(encodeURIComponent))))
+                .sort((a, b) => b.length - a.length),
+            keys: logging.redactKeys.map((key) => key.toLowerCase()),
+        };
+    }
+    // eslint-disable-next-line no-unused-vars
+    catch (err) {
+        // An invalid configuration is reported elsewhere; URL credentials and secret keys are still hidden.
+        return { values: [], keys: [] };
+    }
+}
+
+/**
+ * Replaces a value wherever it is not part of a longer word.
+ *
+ * @function _replaceWord
+ *
+ * @param {string} text - The text.
+ * @param {string} value - The value to hide.
+ *
+ * @returns {string} The text, with the value replaced where no letter, digit or underscore touches it.
+ */
+function _replaceWord (text, value) {
+    const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    return text.replace(new RegExp(`(?<!\\w)${escaped}(?!\\w)`, 'g'), HIDDEN);
+}
+
+/**
+ * Hides the credentials of URLs and the secret values in a text.
+ *
+ * @function redactText
+ *
+ * @param {string} text - The text, e.g. a log message or a tunnel log line.
+ * @param {Object} [secrets] - The secrets returned by _getSecrets, when the caller already has them.
+ *
+ * @returns {string} The text, with `user:password@` in URLs and every secret value replaced (short ones only as
+ *                   whole words).
+ */
+function redactText (text, secrets = _getSecrets()) {
+    let redacted = String(text);
+
+    // Secret values first, as an unencoded key may contain characters that end the URL credentials.
+    for (const value of secrets.values)
+        redacted = value.length >= MIN_SUBSTRING_SECRET_LENGTH ? redacted.split(value).join(HIDDEN) : _replaceWord(redacted, value);
+
+    return redacted.replace(URL_CREDENTIALS_PATTERN, `$1${HIDDEN}@`);
+}
+
+/**
+ * Copies a value for logging with its secrets hidden.
+ *
+ * @function _redactValue
+ *
+ * @param {*} value - The value.
+ * @param {Object} secrets - The secrets returned by _getSecrets.
+ * @param {WeakSet<Object>} seen - The objects being copied, to cut circular references.
+ * @param {number} depth - The nesting level of the value.
+ *
+ * @returns {*} The redacted copy.
+ */
+function _redactValue (value, secrets, seen, depth) {
+    if (typeof value === 'string') return redactText(value, secrets);
+    if (!value || typeof value !== 'object') return value;
+    if (seen.has(value)) return '[Circular]';
+    if (depth > MAX_DEPTH) return '[Object]';
+
+    seen.add(value);
+
+    const copyEntries = (source) => Object.entries(source).map(([key, nested]) => [
+        key,
+        SECRET_KEY_PATTERN.test(key) || secrets.keys.includes(key.toLowerCase())
+            ? HIDDEN
+            : _redactValue(nested, secrets, seen, depth + 1),
+    ]);
+
+    let copy;
+
+    if (value instanceof Error) {
+        copy = new Error(redactText(value.message, secrets));
+        copy.name = value.name;
+        copy.stack = redactText(value.stack || '', secrets);
+        Object.assign(copy, Object.fromEntries(copyEntries(value)));
+    }
+    else if (Array.isArray(value))
+        copy = value.map((item) => _redactValue(item, secrets, seen, depth + 1));
+    else
+        copy = Object.fromEntries(copyEntries(value));
+
+    seen.delete(value);
+
+    return copy;
+}
+
+/**
+ * Copies a value for logging with its secrets hidden: the values of keys such as `key`, `accessKey`, `password`
+ * or `proxyPass` and of the keys listed in `logging.redactKeys` (LT_REDACT_KEYS), the credentials of URLs, and the
+ * access key and proxy password wherever they appear in strings (short ones as whole words). Objects are copied
+ * as plain objects, errors as errors; circular references are cut.
+ *
+ * @function redact
+ *
+ * @param {*} value - The value to log.
+ *
+ * @returns {*} The redacted copy.
+ */
+function redact (value) {
+    return _redactValue(value, _getSecrets(), new WeakSet(), 0);
+}
+
+export default {
+    redact,
+    redactText,
+};
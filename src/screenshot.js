@@ -0,0 +1,220 @@
+'use strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { PNG } from 'pngjs';
+
+import { getConfig } from './config';
+import { getLogger } from './logger';
+import { sleep } from './util';
+
+const PAGE_METRICS_SCRIPT = `return {
+    viewportWidth:    document.documentElement.clientWidth || window.innerWidth,
+    viewportHeight:   window.innerHeight,
+    pageHeight:       Math.max(document.documentElement.scrollHeight, document.body ? document.body.scrollHeight : 0),
+    scrollX:          window.scrollX,
+    scrollY:          window.scrollY,
+    devicePixelRatio: window.devicePixelRatio || 1
+};`;
+const SCROLL_SCRIPT = 'window.scrollTo(arguments[0], arguments[1]); return window.scrollY;';
+
+// Drivers whose grid rejected the native full-page command, so that it is not sent again.
+const nativeFullPageUnsupported = new WeakSet();
+
+/**
+ * Decodes a PNG screenshot returned by the grid.
+ *
+ * @function _decode
+ *
+ * @param {string} base64Data - The base64 encoded PNG.
+ *
+ * @returns {PNG} The decoded image.
+ */
+function _decode (base64Data) {
+    return PNG.sync.read(Buffer.from(base64Data, 'base64'));
+}
+
+/**
+ * Copies a rectangle of an image into a new image.
+ *
+ * @function _crop
+ *
+ * @param {PNG} image - The image.
+ * @param {number} width - The width of the rectangle, from the left edge, in image pixels.
+ * @param {number} height - The height of the rectangle, from the top edge, in image pixels.
+ *
+ * @returns {PNG} The cropped image, or the image itself if it is not larger than the rectangle.
+ */
+function _crop (image, width, height) {
+    width = Math.min(width, image.width);
+    height = Math.min(height, image.height);
+    if (width === image.width && height === image.height) return image;
+
+    const cropped = new PNG({ width, height });
+
+    PNG.bitblt(image, cropped, 0, 0, width, height, 0, 0);
+    return cropped;
+}
+
+/**
+ * Returns the viewport and page size of the current page.
+ *
+ * @async
+ * @function _getPageMetrics
+ *
+ * @param {Object} webDriver - The WebDriver instance.
+ *
+ * @returns {Promise<Object>} `viewportWidth`, `viewportHeight`, `pageHeight`, `scrollX` and `scrollY` in CSS pixels,
+ *                            and `devicePixelRatio`.
+ */
+async function _getPageMetrics (webDriver) {
+    return await webDriver.execute(PAGE_METRICS_SCRIPT, []);
+}
+
+/**
+ * Takes a full-page screenshot with the grid's own command, where the browser supports it (Firefox W3C sessions).
+ *
+ * @async
+ * @function _takeNativeFullPageScreenshot
+ *
+ * @param {Object} webDriver - The WebDriver instance.
+ * @param {Object} log - The session logger of the browser.
+ *
+ * @returns {Promise<PNG|null>} The screenshot, or null if the browser has no full-page command.
+ */
+async function _takeNativeFullPageScreenshot (webDriver, log) {
+    if (typeof webDriver.takeFullPageScreenshot !== 'function' || nativeFullPageUnsupported.has(webDriver))
+        return null;
+
+    try {
+        return _decode(await webDriver.takeFullPageScreenshot());
+    }
+    catch (err) {
+        log.debug('No native full-page screenshot, scrolling and stitching instead', err);
+        nativeFullPageUnsupported.add(webDriver);
+        return null;
+    }
+}
+
+/**
+ * Takes a full-page screenshot by scrolling through the page one viewport at a time and stitching the screenshots.
+ * The scroll position is restored afterwards. Elements with a fixed position appear in every viewport.
+ *
+ * @async
+ * @function _stitchFullPageScreenshot
+ *
+ * @param {Object} webDriver - The WebDriver instance.
+ * @param {Object} metrics - The page metrics returned by _getPageMetrics.
+ * @param {Object} log - The session logger of the browser.
+ *
+ * @returns {Promise<PNG>} The screenshot of the page, at most `screenshots.maxHeight` pixels high.
+ */
+async function _stitchFullPageScreenshot (webDriver, metrics, log) {
+    const { maxHeight, scrollDelay } = getConfig().screenshots;
+    const { viewportWidth, viewportHeight, pageHeight, devicePixelRatio: scale } = metrics;
+    const height = Math.round(pageHeight * scale);
+    const page = new PNG({ width: Math.round(viewportWidth * scale), height: Math.min(height, maxHeight) });
+
+    if (height > maxHeight) log.warn(`The page is ${height}px high, the full-page screenshot is cut at ${maxHeight}px.`);
+
+    try {
+        for (let top = 0; top < pageHeight; top += Math.max(1, viewportHeight)) {
+            // The browser stops scrolling at the bottom of the page, so the last viewport may overlap the previous one.
+            const scrollY = await webDriver.execute(SCROLL_SCRIPT, [0, top]);
+
+            await sleep(scrollDelay);
+
+            const viewport = _decode(await webDriver.takeScreenshot());
+            const targetY = Math.round(top * scale);
+            const sourceY = Math.round((top - scrollY) * scale);
+            const rows = Math.min(viewport.height - sourceY, page.height - targetY);
+
+            if (rows > 0 && sourceY >= 0) PNG.bitblt(viewport, page, 0, sourceY, Math.min(page.width, viewport.width), rows, 0, targetY);
+            if (targetY + rows >= page.height) break;
+        }
+    }
+    finally {
+        try {
+            await webDriver.execute(SCROLL_SCRIPT, [metrics.scrollX, metrics.scrollY]);
+        }
+        catch (err) {
+            log.debug('Error while restoring the scroll position', err);
+        }
+    }
+
+    return page;
+}
+
+/**
+ * Takes a screenshot of a browser session: the viewport, cropped to the page size TestCafe expects,
+ * or the full page. Real-device screenshots are not cropped: they start with the status bar of the device, so that
+ * the page is not in the top-left corner. Full-page screenshots use the browser's own command where there is one, and are otherwise
+ * stitched from one screenshot per viewport.
+ *
+ * @async
+ * @function captureScreenshot
+ *
+ * @param {Object} webDriver - The WebDriver instance.
+ * @param {Object} [options] - The screenshot options.
+ * @param {string} [options.browserId] - The TestCafe browser id, for the log.
+ * @param {number} [options.pageWidth] - The width of the page in CSS pixels, as passed by TestCafe.
+ * @param {number} [options.pageHeight] - The height of the page in CSS pixels, as passed by TestCafe.
+ * @param {boolean} [options.fullPage=false] - Whether to capture the whole page rather than the viewport.
+ * @param {boolean} [options.isRealMobile=false] - Whether the session runs on a real mobile device.
+ *
+ * @returns {Promise<PNG>} The screenshot.
+ *
+ * @throws {Error} Throws an error if the grid fails to take a screenshot.
+ */
+async function captureScreenshot (webDriver, { browserId, pageWidth, pageHeight, fullPage = false, isRealMobile = false } = {}) {
+    const log = getLogger('session', browserId);
+
+    let metrics = null;
+
+    try {
+        metrics = await _getPageMetrics(webDriver);
+    }
+    catch (err) {
+        // Screenshots still work without scripts, they are just neither cropped nor stitched.
+        log.debug('Error while reading the page size, the screenshot is saved as the grid returns it', err);
+    }
+
+    if (fullPage && metrics) {
+        const native = await _takeNativeFullPageScreenshot(webDriver, log);
+
+        return native || await _stitchFullPageScreenshot(webDriver, metrics, log);
+    }
+
+    const screenshot = _decode(await webDriver.takeScreenshot());
+
+    if (!metrics || isRealMobile) return screenshot;
+
+    // Emulated mobile screenshots may include the navigation bar below the page, which TestCafe does not expect.
+    return _crop(
+        screenshot,
+        Math.round((pageWidth || metrics.viewportWidth) * metrics.devicePixelRatio),
+        Math.round((pageHeight || metrics.viewportHeight) * metrics.devicePixelRatio),
+    );
+}
+
+/**
+ * Writes a screenshot. Missing directories are created; TestCafe writes the thumbnail afterwards.
+ *
+ * @async
+ * @function saveScreenshot
+ *
+ * @param {PNG} screenshot - The screenshot returned by captureScreenshot.
+ * @param {string} screenshotPath - The path of the screenshot.
+ *
+ * @returns {Promise<void>} A promise that resolves when the file has been written.
+ *
+ * @throws {Error} Throws an error if the file cannot be written.
+ */
+async function saveScreenshot (screenshot, screenshotPath) {
+    await fs.mkdir(path.dirname(screenshotPath), { recursive: true });
+    await fs.writeFile(screenshotPath, PNG.sync.write(screenshot));
+}
+
+export default {
+    captureScreenshot,
+    saveScreenshot,
+};
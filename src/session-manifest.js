@@ -0,0 +1,220 @@
+'use strict';
+import fs from 'fs/promises';
+import path from 'path';
+
+import { getLogger } from './logger';
+import { redact } from './redact';
+import { sleep } from './util';
+
+const MANIFEST_EXTENSIONS = { json: 'json', junit: 'xml', markdown: 'md' };
+const LOCK_RETRY_INTERVAL = 100;
+const LOCK_STALE_AFTER = 30 * 1000;
+
+const processStartedAt = new Date().toISOString();
+const sessions = {};
+
+/**
+ * Records what is known about a browser session; later calls add to or overwrite earlier fields.
+ *
+ * @function recordSession
+ *
+ * @param {string} id - The unique identifier for the browser session.
+ * @param {Object} fields - Any of `alias`, `capabilities`, `sessionId`, `dashboardUrl`, `tunnel`, `startedAt`,
+ *                          `endedAt`, `status`, `tests` and `artifacts`.
+ *
+ * @returns {void}
+ */
+function recordSession (id, fields) {
+    sessions[id] = { ...sessions[id], ...fields };
+}
+
+/**
+ * Escapes a value for an XML attribute.
+ *
+ * @function _escapeXml
+ *
+ * @param {*} value - The value.
+ *
+ * @returns {string} The escaped text.
+ */
+function _escapeXml (value) {
+    return String(value === void 0 || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Computes the duration of a session in seconds.
+ *
+ * @function _getDuration
+ *
+ * @param {Object} entry - The manifest entry.
+ *
+ * @returns {number|null} The duration, or null if the session has not ended.
+ */
+function _getDuration (entry) {
+    if (!entry.startedAt || !entry.endedAt) return null;
+
+    return (Date.parse(entry.endedAt) - Date.parse(entry.startedAt)) / 1000;
+}
+
+/**
+ * Renders the session manifest in one of the supported formats.
+ *
+ * @function formatManifest
+ *
+ * @param {Object[]} entries - The manifest entries.
+ * @param {string} format - "json", "junit" (one test case per session, details as properties) or "markdown".
+ *
+ * @returns {string} The manifest.
+ */
+function formatManifest (entries, format) {
+    if (format === 'json')
+        return JSON.stringify({ generatedAt: new Date().toISOString(), sessions: entries }, null, 4) + '\n';
+
+    if (format === 'junit') {
+        const failures = entries.filter((entry) => entry.status !== 'passed').length;
+        const testCases = entries.map((entry) => {
+            const duration = _getDuration(entry);
+            const properties = ['sessionId', 'dashboardUrl', 'tunnel', 'status', 'startedAt', 'endedAt']
+                .map((name) => [name, entry[name]])
+                .concat(Object.entries(entry.artifacts || {}).map(([type, file]) => [`artifact.${type}`, file]))
+                .map(([name, value]) => `                <property name="${name}" value="${_escapeXml(value)}"/>`);
+            const failure = entry.status === 'passed'
+                ? ''
+                : `            <failure message="${_escapeXml(`Session ${entry.status || 'not reported'}: ${entry.dashboardUrl || ''}`)}"/>\n`;
+
+            return `        <testcase classname="lambdatest" name="${_escapeXml(entry.alias)}" time="${duration === null ? 0 : duration}">\n` +
+                '            <properties>\n' +
+                `${properties.join('\n')}\n` +
+                '            </properties>\n' +
+                failure +
+                '        </testcase>';
+        });
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<testsuites>\n' +
+            `    <testsuite name="LambdaTest sessions" tests="${entries.length}" failures="${failures}">\n` +
+            testCases.map((testCase) => `${testCase}\n`).join('') +
+            '    </testsuite>\n' +
+            '</testsuites>\n';
+    }
+
+    const rows = entries.map((entry) => {
+        const duration = _getDuration(entry);
+        const session = entry.dashboardUrl ? `[${entry.sessionId}](${entry.dashboardUrl})` : entry.sessionId || '';
+
+        return `| ${entry.alias} | ${entry.status || 'not reported'} | ${duration === null ? '' : `${duration.toFixed(1)}s`} | ${session} |`;
+    });
+
+    return '| Browser | Status | Duration | Session |\n' +
+        '| --- | --- | --- | --- |\n' +
+        rows.map((row) => `${row}\n`).join('');
+}
+
+/**
+ * Takes the manifest lock, so that parallel TestCafe processes update the manifest one at a time.
+ * A lock older than 30 seconds is considered abandoned.
+ *
+ * @async
+ * @function _lock
+ *
+ * @param {string} lockFile - The lock file.
+ *
+ * @returns {Promise<void>} A promise that resolves when the lock is held.
+ */
+async function _lock (lockFile) {
+    for (;;) {
+        try {
+            await (await fs.open(lockFile, 'wx')).close();
+            return;
+        }
+        catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+
+            const stat = await fs.stat(lockFile).catch(() => null);
+
+            if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_AFTER) await fs.rm(lockFile, { force: true });
+            else await sleep(LOCK_RETRY_INTERVAL);
+        }
+    }
+}
+
+/**
+ * Reads the sessions of the JSON manifest written by parallel TestCafe processes of the same run.
+ * A manifest last written before this process started belongs to an earlier run and is ignored.
+ *
+ * @async
+ * @function _readOtherSessions
+ *
+ * @param {string} jsonFile - The JSON manifest.
+ *
+ * @returns {Promise<Object[]>} The entries of the other processes.
+ */
+async function _readOtherSessions (jsonFile) {
+    try {
+        const manifest = JSON.parse(await fs.readFile(jsonFile, 'utf8'));
+        const ownSessionIds = Object.values(sessions).map((entry) => entry.sessionId);
+
+        if (manifest.generatedAt < processStartedAt) return [];
+
+        return manifest.sessions.filter((entry) => !ownSessionIds.includes(entry.sessionId));
+    }
+    // eslint-disable-next-line no-unused-vars
+    catch (err) {
+        return [];
+    }
+}
+
+/**
+ * Writes the session manifest in every configured format, merged with the sessions of parallel
+ * TestCafe processes. Files are replaced atomically.
+ *
+ * @async
+ * @function writeSessionManifest
+ *
+ * @param {Object} loggingConfig - The logging section of the provider configuration.
+ *
+ * @returns {Promise<string[]>} A promise that resolves to the written files.
+ */
+async function writeSessionManifest (loggingConfig) {
+    const basePath = path.resolve(loggingConfig.manifestPath);
+    const jsonFile = `${basePath}.json`;
+    const lockFile = `${basePath}.lock`;
+    const ownSessions = Object.values(sessions)
+        .filter((entry) => entry.sessionId)
+        .map((entry) => ({ ...entry, capabilities: redact(entry.capabilities) }));
+
+    await fs.mkdir(path.dirname(basePath), { recursive: true });
+    await _lock(lockFile);
+
+    try {
+        const entries = (await _readOtherSessions(jsonFile)).concat(ownSessions);
+        // The JSON manifest is always written: it is what parallel processes merge.
+        const formats = Array.from(new Set(['json'].concat(loggingConfig.manifestFormats)));
+
+        return await Promise.all(
+            formats.map(async (format) => {
+                const file = `${basePath}.${MANIFEST_EXTENSIONS[format]}`;
+                const tempFile = `${file}.${process.pid}.tmp`;
+
+                await fs.writeFile(tempFile, formatManifest(entries, format));
+                await fs.rename(tempFile, file);
+                getLogger('session').debug(`Session manifest written to ${file}`);
+
+                return file;
+            }),
+        );
+    }
+    finally {
+        await fs.rm(lockFile, { force: true });
+    }
+}
+
+export default {
+    formatManifest,
+    recordSession,
+    writeSessionManifest,
+};
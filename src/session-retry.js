@@ -0,0 +1,75 @@
+'use strict';
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH'];
+
+/**
+ * Patterns matched against the error message and the hub response, checked in order:
+ * an authentication or capability problem never turns into a retry, even when the hub also mentions a limit.
+ */
+const SESSION_ERROR_PATTERNS = [
+    ['auth', /\b401\b|unauthori[sz]ed|authenticat|access key|invalid (?:user|credentials)/i],
+    ['capability', /\b400\b|bad request|invalid (?:capabilit|browser|platform|version|resolution|device)|not supported|unsupported|no such (?:browser|platform|device)/i],
+    ['capacity', /\b429\b|queue|concurren|parallel|capacity|too many|limit (?:reached|exceeded)|no (?:free|available) (?:machines?|devices?|slots?)/i],
+    ['transient', /\b50[0-4]\b|internal server error|bad gateway|service unavailable|gateway time-?out|socket hang up|timed out|timeout/i],
+];
+
+const RETRYABLE_SESSION_ERRORS = ['capacity', 'transient'];
+
+/**
+ * Sorts a session creation error into the class that decides whether it is worth retrying.
+ *
+ * @function classifySessionError
+ *
+ * @param {Error} err - The error raised by wd while creating the session.
+ *
+ * @returns {string} One of "auth", "capability", "capacity" (queue full, concurrency limit),
+ *                   "transient" (network errors, 5xx) or "unknown".
+ */
+function classifySessionError (err) {
+    if (NETWORK_ERROR_CODES.includes(err.code)) return 'transient';
+
+    const text = [err.message, err.data, err.httpCode].filter(Boolean).join('\n');
+    const match = SESSION_ERROR_PATTERNS.find(([, pattern]) => pattern.test(text));
+
+    return match ? match[0] : 'unknown';
+}
+
+/**
+ * Checks whether a class of session creation errors may go away by retrying.
+ *
+ * @function isRetryableSessionError
+ *
+ * @param {string} errorClass - The class returned by classifySessionError.
+ *
+ * @returns {boolean} `true` for capacity and transient errors.
+ */
+function isRetryableSessionError (errorClass) {
+    return RETRYABLE_SESSION_ERRORS.includes(errorClass);
+}
+
+/**
+ * Computes how long to wait before the next session creation attempt: exponential backoff,
+ * capped, with jitter so that parallel browsers do not hit the hub at the same moment.
+ *
+ * @function getRetryDelay
+ *
+ * @param {number} attempt - The number of the failed attempt, starting at 1.
+ * @param {Object} sessionConfig - The session section of the provider configuration.
+ * @param {function(): number} [random=Math.random] - The source of jitter.
+ *
+ * @returns {number} The delay in milliseconds, between half and all of the backoff delay.
+ */
+function getRetryDelay (attempt, sessionConfig, random = Math.random) {
+    const delay = Math.min(
+        sessionConfig.retryMaxDelay,
+        sessionConfig.retryDelay * Math.pow(2, attempt - 1),
+    ) * 1000;
+
+    return Math.round(delay / 2 + random() * delay / 2);
+}
+
+export default {
+    classifySessionError,
+    getRetryDelay,
+    isRetryableSessionError,
+};
@@ -0,0 +1,111 @@
+'use strict';
+import os from 'os';
+
+import { getConfig } from './config';
+import { getLogger } from './logger';
+
+const SIGNALS = ['SIGINT', 'SIGTERM'];
+
+const log = getLogger('session');
+
+let cleanupHandler = null;
+
+let cleanupPromise = null;
+
+/**
+ * Runs the cleanup handler once, giving up after the configured shutdown timeout.
+ *
+ * @async
+ * @function _runCleanup
+ *
+ * @param {string} reason - The signal or event that triggered the shutdown.
+ *
+ * @returns {Promise<void>} A promise that resolves when the cleanup has finished or timed out.
+ */
+function _runCleanup (reason) {
+    if (!cleanupPromise) {
+        let timeout = 10;
+
+        try {
+            timeout = getConfig().session.shutdownTimeout;
+        }
+        // eslint-disable-next-line no-unused-vars
+        catch (err) {
+            // An invalid configuration must not prevent the shutdown.
+        }
+
+        const cleanup = Promise.resolve()
+            .then(() => cleanupHandler(reason))
+            .catch((err) => log.error('Error during shutdown', err));
+
+        let timeoutId = null;
+
+        const deadline = new Promise((resolve) => {
+            timeoutId = setTimeout(resolve, timeout * 1000);
+            // The timer is unref'd so that it never keeps a finished process alive.
+            timeoutId.unref();
+        }).then(() => {
+            log.warn(`LambdaTest cleanup did not finish within ${timeout}s, exiting anyway.`);
+        });
+
+        cleanupPromise = Promise.race([cleanup, deadline]).then(() => clearTimeout(timeoutId));
+    }
+    return cleanupPromise;
+}
+
+/**
+ * Handles SIGINT and SIGTERM: the first signal cleans up and exits, a second one exits immediately.
+ *
+ * @function _onSignal
+ *
+ * @param {string} signal - The name of the signal.
+ *
+ * @returns {void}
+ */
+function _onSignal (signal) {
+    const exitCode = 128 + os.constants.signals[signal];
+
+    if (cleanupPromise) {
+        log.warn(`Received ${signal} again, exiting without waiting for the LambdaTest cleanup.`);
+        process.exit(exitCode);
+        return;
+    }
+
+    log.warn(`Received ${signal}, closing LambdaTest sessions and tunnels. Press Ctrl-C again to exit immediately.`);
+    _runCleanup(signal).then(() => process.exit(exitCode));
+}
+
+/**
+ * Handles the end of the event loop, which gives sessions left open by an interrupted run a last chance to be closed.
+ *
+ * @function _onBeforeExit
+ *
+ * @returns {void}
+ */
+function _onBeforeExit () {
+    if (!cleanupPromise) _runCleanup('beforeExit');
+}
+
+/**
+ * Registers the cleanup to run when the process is interrupted (SIGINT, SIGTERM) or runs out of work.
+ * Uncaught errors are left to TestCafe, which reports them as test failures or ignores them
+ * (--skip-uncaught-errors). Only the first registration installs the process handlers; later ones replace the cleanup.
+ *
+ * @function installShutdownHandlers
+ *
+ * @param {function(string): Promise<void>} cleanup - Closes every open session and tunnel. It receives the
+ *                                                    signal or event that triggered the shutdown.
+ *
+ * @returns {void}
+ */
+function installShutdownHandlers (cleanup) {
+    if (!cleanupHandler) {
+        SIGNALS.forEach((signal) => process.on(signal, _onSignal));
+        process.on('beforeExit', _onBeforeExit);
+    }
+    cleanupHandler = cleanup;
+}
+
+export default {
+    installShutdownHandlers,
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * Computes the Levenshtein edit distance between two strings.
+ *
+ * @function editDistance
+ *
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ *
+ * @returns {number} The minimum number of single character insertions, deletions or substitutions
+ *                   needed to turn `a` into `b`.
+ */
+function editDistance (a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + cost,
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Finds the candidates closest to a value by case-insensitive edit distance.
+ *
+ * @function closestMatches
+ *
+ * @param {string} value - The value to find suggestions for.
+ * @param {string[]} candidates - The known values.
+ * @param {number} [limit=3] - The maximum number of suggestions to return.
+ * @param {number} [maxDistance=Infinity] - Candidates further away than this are never suggested.
+ *
+ * @returns {string[]} The closest candidates, nearest first.
+ */
+function closestMatches (value, candidates, limit = 3, maxDistance = Infinity) {
+    const needle = value.toLowerCase();
+
+    return candidates
+        .map((candidate) => ({
+            candidate,
+            distance: editDistance(needle, candidate.toLowerCase()),
+        }))
+        .filter(({ distance }) => distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit)
+        .map(({ candidate }) => candidate);
+}
+
+export default {
+    closestMatches,
+    editDistance,
+};
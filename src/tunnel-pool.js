@@ -0,0 +1,502 @@
+'use strict';
+import LambdaTestTunnel from '@lambdatest/node-tunnel';
+import fs from 'fs/promises';
+import path from 'path';
+
+import { getConfig } from './config';
+import { TunnelStartError } from './errors';
+import { getLogger } from './logger';
+import { redactText } from './redact';
+import { sleep } from './util';
+
+const TUNNEL_POLL_INTERVAL = 5000;
+const TUNNEL_LOG_TAIL_LINES = 20;
+
+const log = getLogger('tunnel');
+
+const TUNNEL_HINTS = [
+    [
+        /\b401\b|unauthori[sz]ed|(?<!proxy )authenticat|invalid (?:user|access key|key|credentials)/i,
+        'the tunnel could not authenticate. Check LT_USERNAME and LT_ACCESS_KEY.',
+    ],
+    [
+        /proxy|\b407\b/i,
+        'the tunnel could not connect through the proxy. Check LT_PROXY_HOST, LT_PROXY_PORT, LT_PROXY_USER and LT_PROXY_PASS.',
+    ],
+    [
+        /ECONNREFUSED|ECONNRESET|ETIMEDOUT|ENOTFOUND|EHOSTUNREACH|network|dial tcp|i\/o timeout|no such host/i,
+        'the tunnel could not reach LambdaTest. Check the network connection and that outbound connections on port 443 and 22 are allowed.',
+    ],
+];
+
+const tunnels = [];
+const sessionTunnels = {};
+
+let startPromise = null;
+
+let healthCheckIntervalId = null;
+
+/**
+ * Builds the arguments used to start a tunnel process.
+ *
+ * @function _getTunnelArguments
+ *
+ * @param {number} index - The index of the tunnel in the pool.
+ *
+ * @returns {Object} The arguments passed to LambdaTestTunnel#start.
+ */
+function _getTunnelArguments (index) {
+    const { credentials, tunnel: tunnelConfig } = getConfig();
+    const tunnelArguments = {
+        user: credentials.username,
+
+        key: credentials.accessKey,
+
+        logFile: tunnelConfig.logFile,
+
+        controller: 'testcafe',
+
+        tunnelName: `TestCafe${index}_${credentials.username}-${new Date().getTime()}`,
+    };
+
+    if (tunnelConfig.verbose) tunnelArguments.v = true;
+    if (tunnelConfig.mitm) tunnelArguments.mitm = true;
+    if (tunnelConfig.proxyHost) tunnelArguments.proxyHost = tunnelConfig.proxyHost;
+    if (tunnelConfig.proxyPort) tunnelArguments.proxyPort = tunnelConfig.proxyPort;
+    if (tunnelConfig.proxyUser) tunnelArguments.proxyUser = tunnelConfig.proxyUser;
+    if (tunnelConfig.proxyPass) tunnelArguments.proxyPass = tunnelConfig.proxyPass;
+    if (tunnelConfig.dir) tunnelArguments.dir = tunnelConfig.dir;
+    if (tunnelConfig.loadBalanced) tunnelArguments.loadbalanced = true;
+
+    return tunnelArguments;
+}
+
+/**
+ * Reads the last lines of the tunnel log file.
+ *
+ * @async
+ * @function _readLogTail
+ *
+ * @param {string} logFile - The tunnel log file.
+ *
+ * @returns {Promise<string[]>} The last non-empty lines, redacted, or an empty array if the file cannot be read.
+ */
+async function _readLogTail (logFile) {
+    try {
+        const lines = (await fs.readFile(path.resolve(logFile), 'utf8'))
+            .split(/\r?\n/)
+            .filter((line) => line.trim());
+
+        return lines.slice(-TUNNEL_LOG_TAIL_LINES).map((line) => redactText(line));
+    }
+    // eslint-disable-next-line no-unused-vars
+    catch (err) {
+        return [];
+    }
+}
+
+/**
+ * Guesses why a tunnel did not start from its error and log, falling back on the tunnel configuration.
+ *
+ * @function _getTunnelHint
+ *
+ * @param {string} text - The error message and the last lines of the tunnel log.
+ * @param {Object} tunnelConfig - The tunnel section of the provider configuration.
+ *
+ * @returns {string} The hint shown in the TunnelStartError.
+ */
+function _getTunnelHint (text, tunnelConfig) {
+    const match = TUNNEL_HINTS.find(([pattern]) => pattern.test(text));
+
+    if (match) return `Probably ${match[1]}`;
+    if (tunnelConfig.proxyHost) return `Possibly ${TUNNEL_HINTS[1][1]}`;
+
+    return `Possibly ${TUNNEL_HINTS[2][1]} Run with LT_VERBOSE=true for a detailed tunnel log.`;
+}
+
+/**
+ * Builds the error reported when a tunnel does not start.
+ *
+ * @async
+ * @function _createStartError
+ *
+ * @param {Object} tunnel - The pool entry of the tunnel.
+ * @param {string} reason - Why the tunnel is considered failed.
+ *
+ * @returns {Promise<TunnelStartError>} The error, with the tail of the tunnel log and a hint, secrets redacted.
+ */
+async function _createStartError (tunnel, reason) {
+    const { tunnel: tunnelConfig } = getConfig();
+    const logTail = await _readLogTail(tunnelConfig.logFile);
+
+    return new TunnelStartError({
+        tunnelName: tunnel.tunnelArguments.tunnelName,
+        reason:     redactText(reason),
+        hint:       _getTunnelHint([reason, ...logTail].join('\n'), tunnelConfig),
+        logFile:    tunnelConfig.logFile,
+        logTail,
+    });
+}
+
+/**
+ * Waits for a tunnel process to report that it is running. Every tunnel has its own deadline,
+ * so one slow tunnel does not shorten the wait of the others.
+ *
+ * @async
+ * @function _waitForTunnelRunning
+ *
+ * @param {Object} tunnel - The pool entry of the tunnel.
+ * @param {number} deadline - The time (in ms since the epoch) after which the tunnel is considered failed.
+ *
+ * @returns {Promise<boolean>} A promise that resolves to `true` if the tunnel is running before the deadline.
+ */
+async function _waitForTunnelRunning (tunnel, deadline) {
+    tunnel.isRunning = await tunnel.connectorInstance.isRunning();
+    while (!tunnel.isRunning && Date.now() < deadline) {
+        await sleep(Math.min(TUNNEL_POLL_INTERVAL, deadline - Date.now()));
+        tunnel.isRunning = await tunnel.connectorInstance.isRunning();
+    }
+    return tunnel.isRunning;
+}
+
+/**
+ * Starts the tunnel process, giving up when the deadline passes.
+ *
+ * @async
+ * @function _startTunnelProcess
+ *
+ * @param {Object} tunnel - The pool entry of the tunnel.
+ * @param {number} deadline - The time (in ms since the epoch) after which the tunnel is considered failed.
+ *
+ * @returns {Promise<boolean>} A promise that resolves to `false` if the deadline passed first.
+ */
+async function _startTunnelProcess (tunnel, deadline) {
+    let timeoutId = null;
+
+    const timeout = new Promise((resolve) => {
+        timeoutId = setTimeout(() => resolve(false), deadline - Date.now());
+    });
+
+    try {
+        return await Promise.race([
+            tunnel.connectorInstance.start(tunnel.tunnelArguments).then(() => true),
+            timeout,
+        ]);
+    }
+    finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Starts (or restarts) the tunnel process of a pool entry.
+ * A tunnel that fails to start is kept in the pool as unhealthy, with the TunnelStartError in `error`,
+ * so that it can be reported and replaced later.
+ *
+ * @async
+ * @function _startTunnel
+ *
+ * @param {Object} tunnel - The pool entry of the tunnel.
+ *
+ * @returns {Promise<void>} A promise that resolves when the tunnel is running or has been marked unhealthy.
+ */
+async function _startTunnel (tunnel) {
+    const { tunnel: tunnelConfig } = getConfig();
+    const deadline = Date.now() + tunnelConfig.startTimeout * 1000;
+    const timeoutReason = `not running after ${tunnelConfig.startTimeout}s (LT_TUNNEL_START_TIMEOUT).`;
+
+    tunnel.connectorInstance = new LambdaTestTunnel();
+    tunnel.tunnelArguments = _getTunnelArguments(tunnel.index);
+    tunnel.isRunning = false;
+    tunnel.error = null;
+
+    try {
+        if (!await _startTunnelProcess(tunnel, deadline) || !await _waitForTunnelRunning(tunnel, deadline))
+            tunnel.error = await _createStartError(tunnel, timeoutReason);
+        else
+            tunnel.name = await tunnel.connectorInstance.getTunnelName();
+    }
+    catch (err) {
+        tunnel.error = await _createStartError(tunnel, `${err.message || err}.`);
+    }
+
+    tunnel.healthy = !tunnel.error;
+    if (tunnel.error) log.warn(`Tunnel ${tunnel.index} could not be started`, tunnel.error);
+}
+
+/**
+ * Stops the tunnel process of a pool entry.
+ *
+ * @async
+ * @function _stopTunnel
+ *
+ * @param {Object} tunnel - The pool entry of the tunnel.
+ *
+ * @returns {Promise<void>} A promise that resolves when the tunnel has been stopped.
+ */
+async function _stopTunnel (tunnel) {
+    try {
+        if (tunnel.connectorInstance) {
+            log.debug(`Stopping tunnel ${tunnel.index} (${tunnel.name})`);
+            await tunnel.connectorInstance.stop();
+        }
+    }
+    catch (err) {
+        log.debug(`Error while stopping tunnel ${tunnel.index}`, err);
+    }
+    tunnel.connectorInstance = null;
+    tunnel.isRunning = false;
+    tunnel.healthy = false;
+}
+
+/**
+ * Replaces a dead tunnel with a new tunnel process. Other tunnels, and the sessions using them, are not touched.
+ * A replacement that is still running when the pool is stopped does not leave a tunnel process behind.
+ *
+ * @async
+ * @function _replaceTunnel
+ *
+ * @param {Object} tunnel - The pool entry of the dead tunnel.
+ *
+ * @returns {Promise<void>} A promise that resolves when the replacement has been started.
+ */
+async function _replaceTunnel (tunnel) {
+    if (!tunnel.replacing) {
+        tunnel.replacing = (async () => {
+            log.info(`Replacing tunnel ${tunnel.index} (${tunnel.name})`);
+            await _stopTunnel(tunnel);
+            if (!tunnel.stopped) {
+                tunnel.restarts++;
+                await _startTunnel(tunnel);
+                if (tunnel.stopped) await _stopTunnel(tunnel);
+            }
+            tunnel.replacing = null;
+        })();
+    }
+    await tunnel.replacing;
+}
+
+/**
+ * Checks every tunnel of the pool and replaces the ones that are no longer running.
+ *
+ * @async
+ * @function checkTunnelHealth
+ *
+ * @returns {Promise<void>} A promise that resolves when every tunnel has been checked.
+ */
+async function checkTunnelHealth () {
+    await Promise.all(
+        tunnels.map(async (tunnel) => {
+            if (tunnel.replacing) return;
+
+            let isRunning = false;
+
+            try {
+                isRunning = !!tunnel.connectorInstance && await tunnel.connectorInstance.isRunning();
+            }
+            catch (err) {
+                log.debug(`Error while checking tunnel ${tunnel.index}`, err);
+            }
+
+            tunnel.lastCheck = new Date();
+            if (isRunning) {
+                tunnel.healthy = true;
+                return;
+            }
+
+            tunnel.healthy = false;
+            await _replaceTunnel(tunnel);
+        }),
+    );
+    log.trace('Tunnel pool stats', getTunnelStats());
+}
+
+/**
+ * Starts the tunnels of the pool, once per process, and schedules the background health checks.
+ * Nothing is started when an existing tunnel is configured by name. The tunnels start in parallel and the
+ * promise resolves as soon as one of them is running: the others keep starting in the background,
+ * so that one slow tunnel does not hold up every session.
+ *
+ * @async
+ * @function startTunnels
+ *
+ * @returns {Promise<void>} A promise that resolves when the first tunnel is running.
+ *
+ * @throws {TunnelStartError} Throws the error of the first tunnel if none of the tunnels started.
+ */
+function startTunnels () {
+    const { tunnel: tunnelConfig } = getConfig();
+
+    if (tunnelConfig.name) return Promise.resolve();
+
+    if (!startPromise) {
+        for (let index = 0; index < tunnelConfig.number; index++) {
+            tunnels.push({
+                index,
+                name:              null,
+                connectorInstance: null,
+                tunnelArguments:   {},
+                isRunning:         false,
+                healthy:           false,
+                activeSessions:    0,
+                totalSessions:     0,
+                restarts:          0,
+                lastCheck:         null,
+                replacing:         null,
+                stopped:           false,
+                error:             null,
+            });
+        }
+
+        startPromise = new Promise((resolve, reject) => {
+            const startingTunnels = tunnels.slice();
+            const onStarted = (tunnel) => {
+                tunnel.replacing = null;
+
+                if (tunnel.stopped) {
+                    // The pool was stopped while the tunnel was starting.
+                    reject(new Error('The LambdaTest tunnels were stopped while starting.'));
+                    return _stopTunnel(tunnel);
+                }
+
+                if (tunnel.healthy) resolve();
+                else if (startingTunnels.every((candidate) => !candidate.healthy && !candidate.replacing))
+                    reject(startingTunnels[0].error);
+                return null;
+            };
+
+            // A tunnel is marked as replacing while it starts, so that health checks leave it alone.
+            for (const tunnel of tunnels)
+                tunnel.replacing = _startTunnel(tunnel).then(() => onStarted(tunnel));
+        }).then(() => {
+            if (tunnelConfig.healthCheckInterval > 0) {
+                healthCheckIntervalId = setInterval(
+                    checkTunnelHealth,
+                    tunnelConfig.healthCheckInterval * 1000,
+                );
+                healthCheckIntervalId.unref();
+            }
+        });
+    }
+
+    return startPromise;
+}
+
+/**
+ * Assigns a tunnel to a browser session: the healthy tunnel with the fewest active sessions.
+ * If no tunnel is healthy, the pool is checked (replacing dead tunnels) and the tunnels that are still
+ * starting are waited for before giving up.
+ *
+ * @async
+ * @function acquireTunnel
+ *
+ * @param {string} id - The unique identifier for the browser session.
+ *
+ * @returns {Promise<string>} A promise that resolves to the name of the assigned tunnel.
+ *
+ * @throws {TunnelStartError} Throws the start error of a tunnel if no tunnel is running.
+ */
+async function acquireTunnel (id) {
+    const { tunnel: tunnelConfig } = getConfig();
+
+    if (tunnelConfig.name) return tunnelConfig.name;
+
+    await startTunnels();
+
+    const findTunnel = () => tunnels
+        .filter((tunnel) => tunnel.healthy)
+        .sort((a, b) => a.activeSessions - b.activeSessions)[0];
+
+    let tunnel = findTunnel();
+
+    if (!tunnel) {
+        await checkTunnelHealth();
+        await Promise.all(tunnels.map((candidate) => candidate.replacing));
+        tunnel = findTunnel();
+    }
+
+    if (!tunnel) {
+        const failedTunnel = tunnels.find((candidate) => candidate.error);
+
+        throw failedTunnel ? failedTunnel.error : new Error('No LambdaTest tunnel is running.');
+    }
+
+    tunnel.activeSessions++;
+    tunnel.totalSessions++;
+    sessionTunnels[id] = tunnel;
+    getLogger('tunnel', id).debug(`Tunnel ${tunnel.name} assigned`, getTunnelStats());
+
+    return tunnel.name;
+}
+
+/**
+ * Releases the tunnel assigned to a browser session.
+ *
+ * @function releaseTunnel
+ *
+ * @param {string} id - The unique identifier for the browser session.
+ *
+ * @returns {void}
+ */
+function releaseTunnel (id) {
+    const tunnel = sessionTunnels[id];
+
+    if (!tunnel) return;
+
+    tunnel.activeSessions--;
+    delete sessionTunnels[id];
+}
+
+/**
+ * Stops the health checks and every tunnel of the pool, including the tunnels that are still starting
+ * or being replaced.
+ *
+ * @async
+ * @function stopTunnels
+ *
+ * @returns {Promise<void>} A promise that resolves when every tunnel has been stopped.
+ */
+async function stopTunnels () {
+    const stoppedTunnels = tunnels.splice(0);
+
+    clearInterval(healthCheckIntervalId);
+    healthCheckIntervalId = null;
+    startPromise = null;
+
+    stoppedTunnels.forEach((tunnel) => {
+        tunnel.stopped = true;
+    });
+    await Promise.all(stoppedTunnels.map(async (tunnel) => {
+        // A tunnel that is starting or being replaced is stopped once it has started.
+        await tunnel.replacing;
+        await _stopTunnel(tunnel);
+    }));
+}
+
+/**
+ * Returns a snapshot of the tunnel pool, for logging.
+ *
+ * @function getTunnelStats
+ *
+ * @returns {Object[]} One entry per tunnel with its name, health, active and total sessions and restart count.
+ */
+function getTunnelStats () {
+    return tunnels.map((tunnel) => ({
+        index:          tunnel.index,
+        name:           tunnel.name,
+        healthy:        tunnel.healthy,
+        activeSessions: tunnel.activeSessions,
+        totalSessions:  tunnel.totalSessions,
+        restarts:       tunnel.restarts,
+        lastCheck:      tunnel.lastCheck,
+    }));
+}
+
+export default {
+    acquireTunnel,
+    checkTunnelHealth,
+    getTunnelStats,
+    releaseTunnel,
+    startTunnels,
+    stopTunnels,
+};
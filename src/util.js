@@ -3,43 +3,63 @@ import _request from 'request';
 import Promise from 'pinkie';
 import pify from 'pify';
 import parseCapabilities from 'desired-capabilities';
-import LambdaTestTunnel from '@lambdatest/node-tunnel';
-import fs from 'fs';
 import axios from 'axios';
 
+import { getConfig } from './config';
+import { readCatalogCache, writeCatalogCache } from './catalog-cache';
+import { getLogger } from './logger';
+import { parseAlias, resolveVersion } from './aliases';
+import { readCapabilityFile, resolveCapabilitySections } from './capability-file';
+import { checkCompatibility, resolveAliasQualifiers } from './compatibility';
+import { renderTemplate } from './name-template';
+import { getRetryDelay } from './session-retry';
+
 const promisify = (fn) => pify(fn, Promise);
 const request = promisify(_request, Promise);
 
-const PROCESS_ENVIRONMENT = process.env;
-const BASE_URL = 'https://api.lambdatest.com/api/v1';
-const MOBILE_BASE_URL =
-    'https://mobile-api.lambdatest.com/mobile-automation/api/v1';
-const AUTOMATION_BASE_URL = 'https://api.lambdatest.com/automation/api/v1';
-const AUTOMATION_DASHBOARD_URL = 'https://automation.lambdatest.com';
-const AUTOMATION_HUB_URL = process.env.LT_GRID_URL || 'hub.lambdatest.com';
-const MOBILE_AUTOMATION_HUB_URL =
-    process.env.LT_MOBILE_GRID_URL || 'beta-hub.lambdatest.com';
 const LT_AUTH_ERROR =
-    'Authentication failed. Please assign the correct username and access key to the LT_USERNAME and LT_ACCESS_KEY environment variables.';
-const LT_TUNNEL_NUMBER = process.env.LT_TUNNEL_NUMBER || 1;
-
-var connectorInstances = [];
-
-for (let tunnel = 0; tunnel < LT_TUNNEL_NUMBER; tunnel++) {
-    connectorInstances.push({
-        connectorInstance: null,
-        tunnelArguments:   {},
-        isRunning:         false,
-    });
-}
+    'Authentication failed. Please assign the correct username and access key to the LT_USERNAME and LT_ACCESS_KEY environment variables ' +
+    'or to credentials.username and credentials.accessKey in lambdatest.config.json.';
 
 const capabilities = {};
+const log = getLogger('api');
+
+// The options of the capabilities section that set a capability, by capability.
+const CAPABILITY_OPTIONS = {
+    build:              'build',
+    name:               'testName',
+    resolution:         'resolution',
+    'selenium_version': 'seleniumVersion',
+    console:            'console',
+    network:            'network',
+    video:              'video',
+    visual:             'screenshot',
+    timezone:           'timezone',
+    w3c:                'w3c',
+    'safari.cookies':   'safariCookies',
+    'safari.popups':    'safariPopups',
+};
 
-let retryCounter = 60;
+let sessionCount = 0;
 
-var isTraceEnable = false;
+/**
+ * Builds the authenticated WebDriver hub URL for a session.
+ * 
+ * @function _getHubUrl
+ * 
+ * @param {boolean} isRealMobile - Whether the session runs on a real mobile device.
+ * 
+ * @returns {string} The hub URL with the LambdaTest username and access key embedded as basic auth.
+ */
+function _getHubUrl (isRealMobile) {
+    const { credentials, endpoints } = getConfig();
+    const hubUrl = new URL(isRealMobile ? endpoints.mobileHub : endpoints.hub);
 
-if (PROCESS_ENVIRONMENT.LT_ENABLE_TRACE) isTraceEnable = true;
+    hubUrl.username = credentials.username;
+    hubUrl.password = credentials.accessKey;
+
+    return hubUrl.toString();
+}
 
 /**
  * Asynchronously makes an API request and checks if the response body is valid JSON.
@@ -61,8 +81,8 @@ async function requestApi (options) {
         return IsJsonString(response.body);
     }
     catch (err) {
-        showTrace('API Response', response.body);
-        showTrace('Error while API call ', err);
+        log.debug('Unexpected API response', response.body);
+        log.debug('Error while API call', err);
         return null;
     }
 }
@@ -88,236 +108,253 @@ function IsJsonString (str) {
 }
 
 /**
- * Asynchronously retrieves a comprehensive list of available browsers and real devices.
+ * Runs an asynchronous function over a list of items with a bounded number of calls in flight.
  * 
  * @async
- * @function _getBrowserList
+ * @function _mapWithConcurrency
+ * 
+ * @param {Array} items - The items to process.
+ * @param {number} limit - The maximum number of concurrent calls.
+ * @param {Function} fn - The asynchronous function called with each item.
  * 
- * @returns {Promise<string[]>} A promise that resolves to an array of strings, where each string represents
- *                               a browser or device formatted as "<name>@<version>:<os>" or 
- *                               "<deviceName>@<version>:<os>:isReal" for real devices.
+ * @returns {Promise<Array>} A promise that resolves to the results, in the order of the items.
  * 
- * @throws {Error} Throws an error if any API requests fail or if data retrieval is unsuccessful.
+ * @throws {Error} Rejects with the first error thrown by `fn`.
  */
-async function _getBrowserList () {
-    let browserList = [];
-    const osList = await requestApi(`${BASE_URL}/capability?format=array`);
+async function _mapWithConcurrency (items, limit, fn) {
+    const results = new Array(items.length);
 
-    for (const os of osList.os) {
-        const _browserList = await requestApi(
-            `${BASE_URL}/capability?os=${os.id}&format=array`,
-        );
+    let nextIndex = 0;
 
-        for (const browser of _browserList) {
-            for (const version of browser.versions) {
-                browserList.push(
-                    `${browser.name}@${version.version}:${os.name}`,
-                );
-            }
-        }
-    }
-    const deviceList = await requestApi(`${BASE_URL}/device`);
-
-    for (const key in deviceList) {
-        if (Reflect.has(deviceList, key)) {
-            const element = deviceList[key];
-
-            for (const device of element) {
-                for (const osVersion of device.osVersion) {
-                    browserList.push(
-                        `${device.deviceName}@${osVersion.version}:${key}`,
-                    );
-                }
-            }
+    async function worker () {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+
+            results[index] = await fn(items[index]);
         }
     }
 
-    //real devices
-    await axios.get(`${MOBILE_BASE_URL}/real/list`).then((res) => {
-        var iosBrands = res?.data?.ios;
-        var androidBrands = res?.data?.android;
-        var iosDeviceList = [];
-        var androidDeviceList = [];
-
-        iosBrands.map((brand) => {
-            const iosDevices = brand?.devices;
-
-            iosDevices.map((device) => {
-                if (device?.deviceType === 'real') {
-                    const osVersion = device?.osVersion;
-
-                    osVersion.map((version) => {
-                        if (device?.isRealDevice === 1) {
-                            iosDeviceList.push(
-                                `${device?.deviceName}@${version?.version}:ios:isReal`,
-                            );
-                        }
-                    });
-                }
-            });
-        });
-
-        androidBrands.map((item) => {
-            const androidDevices = item?.devices;
-
-            androidDevices.map((device) => {
-                if (device?.deviceType === 'real') {
-                    const osVersion = device?.osVersion;
-
-                    osVersion.map((version) => {
-                        if (device?.isRealDevice === 1) {
-                            androidDeviceList.push(
-                                `${device?.deviceName}@${version?.version}:android:isReal`,
-                            );
-                        }
-                    });
-                }
-            });
-        });
-
-        browserList = [...browserList, ...iosDeviceList, ...androidDeviceList];
-    });
+    await Promise.all(
+        Array.from({ length: Math.min(limit, items.length) }, worker),
+    );
 
-    return browserList;
+    return results;
 }
 
 /**
- * Asynchronously establishes a connection for the specified tunnel using the LambdaTest tunnel instance.
+ * Asynchronously retrieves the desktop browsers of every OS from the capability API.
+ * OS lists are fetched concurrently; the browsers of OSes whose request fails are skipped.
  * 
  * @async
- * @function _connect
+ * @function _fetchDesktopBrowsers
+ * 
+ * @param {Object} config - The resolved provider configuration.
+ * 
+ * @returns {Promise<{ browsers: string[], error: Error|null, failedOs: string[] }>} A promise that resolves to the aliases
+ *          formatted as "<name>@<version>:<os>", the error of the failed requests, if any, and the names of the OSes
+ *          whose browsers could not be fetched.
+ * 
+ * @throws {Error} Throws an error if the OS list cannot be retrieved.
+ */
+async function _fetchDesktopBrowsers ({ endpoints, catalog }) {
+    const osList = await requestApi(`${endpoints.capabilityApi}?format=array`);
+
+    if (!Array.isArray(osList?.os))
+        throw new Error('unexpected response from the capability API');
+
+    const failedOs = [];
+    const browserLists = await _mapWithConcurrency(osList.os, catalog.concurrency, async (os) => {
+        try {
+            const _browserList = await requestApi(
+                `${endpoints.capabilityApi}?os=${os.id}&format=array`,
+            );
+
+            if (!Array.isArray(_browserList))
+                throw new Error('unexpected response from the capability API');
+
+            return _browserList.flatMap((browser) =>
+                (browser.versions || []).map(
+                    (version) => `${browser.name}@${version.version}:${os.name}`,
+                ),
+            );
+        }
+        catch (err) {
+            log.debug(`Error while fetching browsers for ${os.name}`, err);
+            failedOs.push(os.name);
+            return [];
+        }
+    });
+
+    return {
+        browsers: browserLists.flat(),
+        error:    failedOs.length ? new Error(`browsers for ${failedOs.join(', ')} could not be fetched`) : null,
+        failedOs,
+    };
+}
+
+/**
+ * Asynchronously retrieves the emulated mobile devices from the device API.
  * 
- * @param {number} tunnel - The index of the tunnel to be connected.
+ * @async
+ * @function _fetchEmulatedDevices
  * 
- * @returns {Promise<void>} Returns a promise that resolves when the tunnel connection has been successfully established.
+ * @param {Object} config - The resolved provider configuration.
  * 
- * @throws {Error} Throws an error if the connection process fails, including issues with instantiation or starting the tunnel.
+ * @returns {Promise<{ browsers: string[], error: null }>} A promise that resolves to the aliases formatted as
+ *                                                         "<deviceName>@<version>:<os>".
  * 
-*/
-async function _connect (tunnel) {
-    try {
-        if (!PROCESS_ENVIRONMENT.LT_TUNNEL_NAME) {
-            if (!connectorInstances[tunnel].connectorInstance) {
-                connectorInstances[tunnel].connectorInstance =
-                    new LambdaTestTunnel();
-                const logFile =
-                    PROCESS_ENVIRONMENT.LT_LOGFILE || 'lambdaTunnelLog.log';
-                const v = PROCESS_ENVIRONMENT.LT_VERBOSE;
-
-                connectorInstances[tunnel].tunnelArguments = {
-                    user: PROCESS_ENVIRONMENT.LT_USERNAME,
-
-                    key: PROCESS_ENVIRONMENT.LT_ACCESS_KEY,
-
-                    logFile: logFile,
-
-                    controller: 'testcafe',
-                };
-
-                if (v === 'true' || v === true)
-                    connectorInstances[tunnel].tunnelArguments.v = true;
-                if (PROCESS_ENVIRONMENT.LT_MITM) {
-                    connectorInstances[tunnel].tunnelArguments.mitm =
-                        PROCESS_ENVIRONMENT.LT_MITM;
-                }
-                if (PROCESS_ENVIRONMENT.LT_PROXY_HOST) {
-                    connectorInstances[tunnel].tunnelArguments.proxyHost =
-                        PROCESS_ENVIRONMENT.LT_PROXY_HOST;
-                }
-                if (PROCESS_ENVIRONMENT.LT_PROXY_PORT) {
-                    connectorInstances[tunnel].tunnelArguments.proxyPort =
-                        PROCESS_ENVIRONMENT.LT_PROXY_PORT;
-                }
-                if (PROCESS_ENVIRONMENT.LT_PROXY_USER) {
-                    connectorInstances[tunnel].tunnelArguments.proxyUser =
-                        PROCESS_ENVIRONMENT.LT_PROXY_USER;
-                }
-                if (PROCESS_ENVIRONMENT.LT_PROXY_PASS) {
-                    connectorInstances[tunnel].tunnelArguments.proxyPass =
-                        PROCESS_ENVIRONMENT.LT_PROXY_PASS;
-                }
-                if (process.env.LT_TUNNEL_NAME) {
-                    connectorInstances[tunnel].tunnelArguments.tunnelName =
-                        process.env.LT_TUNNEL_NAME +
-                        tunnel +
-                        `-${new Date().getTime()}`;
-                }
-                else {
-                    connectorInstances[tunnel].tunnelArguments.tunnelName =
-                        'TestCafe' +
-                        tunnel +
-                        `_${PROCESS_ENVIRONMENT.LT_USERNAME}-${new Date().getTime()}`;
-                }
-
-                if (PROCESS_ENVIRONMENT.LT_DIR) {
-                    connectorInstances[tunnel].tunnelArguments.dir =
-                        PROCESS_ENVIRONMENT.LT_DIR;
-                }
-
-                if (PROCESS_ENVIRONMENT.LOAD_BALANCED_MODE) {
-                    connectorInstances[tunnel].tunnelArguments.loadbalanced =
-                        true;
-                }
-
-                await connectorInstances[tunnel].connectorInstance.start(
-                    connectorInstances[tunnel].tunnelArguments,
-                );
-            }
-            await _waitForTunnelRunning(tunnel);
+ * @throws {Error} Throws an error if the device list cannot be retrieved.
+ */
+async function _fetchEmulatedDevices ({ endpoints }) {
+    const deviceList = await requestApi(endpoints.deviceApi);
+
+    if (!deviceList || typeof deviceList !== 'object' || Array.isArray(deviceList))
+        throw new Error('unexpected response from the device API');
+
+    const browsers = [];
+
+    for (const [os, devices] of Object.entries(deviceList)) {
+        for (const device of Array.isArray(devices) ? devices : []) {
+            for (const osVersion of device?.osVersion || [])
+                browsers.push(`${device.deviceName}@${osVersion.version}:${os}`);
         }
     }
-    catch (err) {
-        showTrace('_connect error :', err);
-    }
+
+    return { browsers, error: null };
 }
 
 /**
- * Asynchronously stops and destroys the specified tunnel connection.
+ * Asynchronously retrieves the real devices from the real device API.
  * 
  * @async
- * @function _destroy
- * 
- * @param {number} tunnel - The index of the tunnel to be destroyed.
+ * @function _fetchRealDevices
  * 
- * @returns {Promise<void>} Returns a promise that resolves when the tunnel has been successfully stopped and destroyed.
+ * @param {Object} config - The resolved provider configuration.
  * 
- * @throws {Error} Throws an error if any issues occur while stopping the tunnel or retrieving the tunnel name.
+ * @returns {Promise<{ browsers: string[], error: null }>} A promise that resolves to the aliases formatted as
+ *                                                         "<deviceName>@<version>:<os>:isReal".
  * 
+ * @throws {Error} Throws an error if the real device list cannot be retrieved.
  */
-async function _destroy (tunnel) {
-    try {
-        if (connectorInstances[tunnel].connectorInstance) {
-            const tunnelName =
-                await connectorInstances[
-                    tunnel
-                ].connectorInstance.getTunnelName();
+async function _fetchRealDevices ({ endpoints }) {
+    const res = await axios.get(endpoints.realDeviceApi);
+    const browsers = [];
+
+    if (!res?.data || typeof res.data !== 'object')
+        throw new Error('unexpected response from the real device API');
+
+    for (const os of ['ios', 'android']) {
+        const brands = Array.isArray(res.data[os]) ? res.data[os] : [];
 
-            showTrace('Stopping Tunnel :', tunnelName);
+        for (const brand of brands) {
+            for (const device of brand?.devices || []) {
+                if (device?.deviceType !== 'real' || device?.isRealDevice !== 1)
+                    continue;
 
-            await connectorInstances[tunnel].connectorInstance.stop();
-            connectorInstances[tunnel].connectorInstance = null;
+                for (const version of device?.osVersion || [])
+                    browsers.push(`${device?.deviceName}@${version?.version}:${os}:isReal`);
+            }
         }
     }
-    catch (err) {
-        showTrace('util._destroy error :', err);
-    }
+
+    return { browsers, error: null };
 }
 
+const CATALOG_SOURCES = {
+    desktop:  { label: 'desktop browsers', fetch: _fetchDesktopBrowsers },
+    emulated: { label: 'emulated devices', fetch: _fetchEmulatedDevices },
+    real:     { label: 'real devices', fetch: _fetchRealDevices },
+};
+
 /**
- * Generates a random integer between 0 (inclusive) and the specified maximum value (exclusive).
- * 
- * @function getRandomInt
+ * Asynchronously retrieves the browser and device catalog, using the on-disk cache while it is fresh.
+ * Each source (desktop browsers, emulated devices, real devices) is fetched independently: a source that
+ * cannot be fetched falls back to its last cached list, or is left out with a warning. The sources that were
+ * fetched are cached along with the last cached lists of the others, so that an account without access to one of
+ * the APIs still gets a cache; a source missing from the cache is reported as failed.
  * 
- * @param {number} max - The upper limit (exclusive) for the random integer generation.
+ * @async
+ * @function _getBrowserList
  * 
- * @returns {number} A random integer between 0 (inclusive) and max (exclusive).
+ * @param {Object} [options] - Lookup options.
+ * @param {boolean} [options.refresh=false] - Ignore the cache and rebuild it from the APIs.
  * 
- * @example
- * // Generate a random integer between 0 and 10
- * const randomInt = getRandomInt(10);
+ * @returns {Promise<{ browsers: string[], failedSources: string[], failedOs: string[], fromCache: boolean }>} A promise that
+ *          resolves to the list of browser aliases, the names of the sources that could not be fetched, the desktop OSes
+ *          whose browsers could not be fetched (empty when the whole source failed) and whether the list was served
+ *          from the cache.
  */
-function getRandomInt (max) {
-    return Math.floor(Math.random() * max);
+async function _getBrowserList ({ refresh = false } = {}) {
+    const config = getConfig();
+    const useCache = config.catalog.cacheTtl > 0;
+    const cached = useCache ? await readCatalogCache(config) : null;
+
+    if (cached && cached.isFresh && !refresh && !config.catalog.refresh) {
+        log.debug(`Using cached browser list from ${cached.file}`);
+        return {
+            browsers:      Object.keys(CATALOG_SOURCES).flatMap((source) => cached.sources[source] || []),
+            failedSources: Object.keys(CATALOG_SOURCES).filter((source) => !cached.sources[source]),
+            failedOs:      [],
+            fromCache:     true,
+        };
+    }
+
+    const sources = {};
+    const failedSources = [];
+    const failedOs = [];
+
+    await Promise.all(
+        Object.entries(CATALOG_SOURCES).map(async ([source, { label, fetch }]) => {
+            let result = null;
+
+            try {
+                result = await fetch(config);
+            }
+            catch (err) {
+                result = { browsers: [], error: err };
+            }
+
+            sources[source] = result.browsers;
+            if (!result.error) return;
+
+            failedSources.push(source);
+            failedOs.push(...result.failedOs || []);
+
+            const cachedBrowsers = cached?.sources[source];
+
+            if (cachedBrowsers && !result.browsers.length) {
+                sources[source] = cachedBrowsers;
+                log.warn(
+                    `LambdaTest ${label} could not be fetched (${result.error.message}), using the cached list from ${new Date(cached.createdAt).toISOString()}.`,
+                );
+            }
+            else
+                log.warn(`LambdaTest ${label} could not be fetched (${result.error.message}), the list may be incomplete.`);
+        }),
+    );
+
+    if (useCache && failedSources.length < Object.keys(CATALOG_SOURCES).length) {
+        const cachedSources = {};
+
+        for (const source of Object.keys(CATALOG_SOURCES)) {
+            if (!failedSources.includes(source)) cachedSources[source] = sources[source];
+            else if (cached?.sources[source]) cachedSources[source] = cached.sources[source];
+        }
+
+        try {
+            await writeCatalogCache(config, cachedSources);
+        }
+        catch (err) {
+            log.debug('Error while writing the browser list cache', err);
+        }
+    }
+
+    return {
+        browsers:      Object.keys(CATALOG_SOURCES).flatMap((source) => sources[source]),
+        failedSources: Object.keys(CATALOG_SOURCES).filter((source) => failedSources.includes(source)),
+        failedOs,
+        fromCache:     false,
+    };
 }
 
 /**
@@ -328,24 +365,49 @@ function getRandomInt (max) {
  * 
  * @param {string} id - The unique identifier for the browser session.
  * @param {string} capability - A string representing the capabilities to be parsed.
+ * @param {string[]} [catalog=[]] - The browser aliases returned by _getBrowserList, used to resolve version keywords
+ *                                  such as "latest-1".
+ * @param {Object} [sources={}] - Filled with the origin of each capability: "alias", "capability file",
+ *                                "env <VARIABLE>", "config file <path>" or "default".
  * 
  * @returns {Promise<Object|Error>} A promise that resolves to an object containing the parsed capabilities
  *                                   for the specified session, or an Error object if an error occurs.
  * 
- * @throws {Error} Throws an error if there is an issue with parsing the capabilities or managing tunnels.
+ * @throws {Error} Throws an error if there is an issue with parsing the capabilities.
  * 
  */
-async function _parseCapabilities (id, capability) {
+async function _parseCapabilities (id, capability, catalog = [], sources = {}) {
+    const capabilitiesLog = getLogger('capabilities', id);
+
     try {
+        const { capabilities: capabilityConfig } = getConfig();
         const testcafeDetail = require('../package.json');
 
-        // showTrace('capability', capability);
-        const parseCapabilitiesData = parseCapabilities(capability)[0];
+        const aliasParts = parseAlias(capability);
+        const parseCapabilitiesData = parseCapabilities(aliasParts.base)[0];
 
         let browserName = parseCapabilitiesData.browserName;
 
-        const browserVersion = parseCapabilitiesData.browserVersion;
         const platform = parseCapabilitiesData.platform;
+        const versionKeyword = resolveVersion(capability, catalog);
+        const resolvedVersion =
+            versionKeyword && versionKeyword.version !== versionKeyword.keyword
+                ? versionKeyword
+                : null;
+
+        let browserVersion = parseCapabilitiesData.browserVersion;
+
+        if (resolvedVersion) {
+            browserVersion = resolvedVersion.version;
+            capabilitiesLog.info(
+                `${capability}: version '${resolvedVersion.keyword}' resolved to '${resolvedVersion.version}'`,
+            );
+        }
+        else if (versionKeyword) {
+            capabilitiesLog.info(
+                `${capability}: version '${versionKeyword.keyword}' is not in the browser list and is passed to the grid as is`,
+            );
+        }
 
         let lPlatform = platform.toLowerCase();
 
@@ -355,11 +417,13 @@ async function _parseCapabilities (id, capability) {
             plugin: `${testcafeDetail.name}:${testcafeDetail.version}`,
         };
 
-        if (capability.indexOf('isReal') > 0) {
-            browserName = capability.split('@')[0];
+        let recorded = _recordSources(capabilities[id], {}, sources, 'default');
+
+        if (aliasParts.isReal) {
+            browserName = aliasParts.base.split('@')[0];
             lPlatform = platform.split(':')[0];
             capabilities[id].isRealMobile = true;
-            if (process.env.LT_VISUAL) capabilities[id].visual = true;
+            if (capabilityConfig.visual) capabilities[id].visual = true;
         }
 
         if (lPlatform === 'android') capabilities[id].browserName = 'chrome';
@@ -375,28 +439,35 @@ async function _parseCapabilities (id, capability) {
             capabilities[id].version = browserVersion.toLowerCase();
             capabilities[id].platform = lPlatform;
         }
-        let additionalCapabilities = {};
-
-        if (PROCESS_ENVIRONMENT.LT_CAPABILITY_PATH) {
-            try {
-                additionalCapabilities = await _getAdditionalCapabilities(
-                    PROCESS_ENVIRONMENT.LT_CAPABILITY_PATH,
-                );
-            }
-            catch (err) {
-                showTrace(
-                    'Error while adding additionalCapabilities from file : ' +
-                        PROCESS_ENVIRONMENT.LT_CAPABILITY_PATH +
-                        '  ErrorTrace :',
-                    err,
-                );
-                additionalCapabilities = {};
-            }
+        Object.assign(capabilities[id], resolveAliasQualifiers(capability));
+        recorded = _recordSources(capabilities[id], recorded, sources, 'alias');
+
+        let fileCapabilities = {};
+
+        if (capabilityConfig.path) {
+            const resolved = resolveCapabilitySections(
+                await readCapabilityFile(capabilityConfig.path),
+                capability,
+                {
+                    browserName:  capabilities[id].browserName,
+                    browserVersion,
+                    platform:     lPlatform,
+                    deviceName:   capabilities[id].deviceName,
+                    isRealMobile: !!capabilities[id].isRealMobile,
+                },
+            );
+
+            fileCapabilities = resolved.capabilities;
+            capabilitiesLog.debug(
+                `Capability file sections applied to ${capability}:`,
+                resolved.sections.length ? resolved.sections : 'none',
+            );
             capabilities[id] = {
                 ...capabilities[id],
-                ...additionalCapabilities[capability],
+                ...fileCapabilities,
             };
         }
+        recorded = _recordSources(capabilities[id], recorded, sources, 'capability file');
 
         if (
             capabilities[id].appiumVersion ||
@@ -406,82 +477,54 @@ async function _parseCapabilities (id, capability) {
             capabilities[id].allowW3C = true;
             capabilities[id].w3cPrefix = 'appium';
         }
+        recorded = _recordSources(capabilities[id], recorded, sources, 'default');
+
+        const templateValues = {
+            alias:   capability,
+            browser: capabilities[id].browserName,
+            version: browserVersion === 'any' ? '' : browserVersion,
+            os:      platform === 'any' ? '' : platform.split(':')[0],
+            device:  capabilities[id].deviceName,
+            index:   ++sessionCount,
+            id,
+            date:    new Date().toISOString().slice(0, 10),
+        };
 
-        if (PROCESS_ENVIRONMENT.LT_BUILD)
-            capabilities[id].build = PROCESS_ENVIRONMENT.LT_BUILD;
+        if (capabilityConfig.build)
+            capabilities[id].build = renderTemplate(capabilityConfig.build, templateValues);
         capabilities[id].name =
-            PROCESS_ENVIRONMENT.LT_TEST_NAME ||
+            capabilityConfig.testName && renderTemplate(capabilityConfig.testName, templateValues) ||
             capabilities[id].name ||
+            capabilities[id]['LT:Options']?.name ||
+            capabilities[id]['lt:options']?.name ||
             `TestCafe test run ${id}`;
-
-        if (PROCESS_ENVIRONMENT.LT_TUNNEL_NAME)
-            capabilities[id].tunnelName = PROCESS_ENVIRONMENT.LT_TUNNEL_NAME;
-        else {
-            try {
-                // showTrace('ConncetorInstance Data: ', secondConnectorInstance);
-
-                for (let tunnel = 0; tunnel < LT_TUNNEL_NUMBER; tunnel++) {
-                    const _isRunning =
-                        connectorInstances[tunnel].connectorInstance &&
-                        await connectorInstances[
-                            tunnel
-                        ].connectorInstance.isRunning();
-
-                    if (!_isRunning) {
-                        await _destroy(tunnel);
-                        retryCounter = 60;
-                        connectorInstances[tunnel].isRunning = false;
-                        await _connect(tunnel);
-                    }
-                }
-
-                var rand = getRandomInt(LT_TUNNEL_NUMBER);
-
-                capabilities[id].tunnelName =
-                    await connectorInstances[
-                        rand
-                    ].connectorInstance.getTunnelName();
-            }
-            catch (err) {
-                showTrace(
-                    '_parseCapabilities Error on isRunning check error :',
-                    err,
-                );
-                return new Error(err);
-            }
+        if (resolvedVersion) {
+            capabilities[id].name +=
+                ` [${resolvedVersion.keyword}: ${resolvedVersion.version}]`;
         }
 
-        if (PROCESS_ENVIRONMENT.LT_RESOLUTION)
-            capabilities[id].resolution = PROCESS_ENVIRONMENT.LT_RESOLUTION;
-        if (PROCESS_ENVIRONMENT.LT_SELENIUM_VERSION) {
+        if (capabilityConfig.resolution)
+            capabilities[id].resolution = capabilityConfig.resolution;
+        if (capabilityConfig.seleniumVersion) {
             capabilities[id]['selenium_version'] =
-                PROCESS_ENVIRONMENT.LT_SELENIUM_VERSION;
+                capabilityConfig.seleniumVersion;
         }
-        if (PROCESS_ENVIRONMENT.LT_CONSOLE) capabilities[id].console = true;
-        if (PROCESS_ENVIRONMENT.LT_NETWORK) capabilities[id].network = true;
-        if (PROCESS_ENVIRONMENT.LT_VIDEO) capabilities[id].video = true;
-        if (PROCESS_ENVIRONMENT.LT_SCREENSHOT) capabilities[id].visual = true;
-        if (PROCESS_ENVIRONMENT.LT_TIMEZONE)
-            capabilities[id].timezone = PROCESS_ENVIRONMENT.LT_TIMEZONE;
-        if (
-            PROCESS_ENVIRONMENT.LT_W3C === true ||
-            PROCESS_ENVIRONMENT.LT_W3C === 'true'
-        )
-            capabilities[id].w3c = true;
+        if (capabilityConfig.console) capabilities[id].console = true;
+        if (capabilityConfig.network) capabilities[id].network = true;
+        if (capabilityConfig.video) capabilities[id].video = true;
+        if (capabilityConfig.screenshot) capabilities[id].visual = true;
+        if (capabilityConfig.timezone)
+            capabilities[id].timezone = capabilityConfig.timezone;
+        if (capabilityConfig.w3c) capabilities[id].w3c = true;
 
         if (capabilities[id].version === 'any') delete capabilities[id].version;
         if (capabilities[id].platform === 'any')
             delete capabilities[id].platform;
-        if (
-            PROCESS_ENVIRONMENT.LT_SAFARI_COOKIES === true ||
-            PROCESS_ENVIRONMENT.LT_SAFARI_COOKIES === 'true'
-        )
+        if (capabilityConfig.safariCookies)
             capabilities[id]['safari.cookies'] = true;
-        if (
-            PROCESS_ENVIRONMENT.LT_SAFARI_POPUPS === true ||
-            PROCESS_ENVIRONMENT.LT_SAFARI_POPUPS === 'true'
-        )
+        if (capabilityConfig.safariPopups)
             capabilities[id]['safari.popups'] = true;
+        recorded = _recordSources(capabilities[id], recorded, sources, _getConfigSource);
 
         if (
             browserName &&
@@ -500,13 +543,8 @@ async function _parseCapabilities (id, capability) {
             !('enableCustomTranslation' in capabilities[id])
         )
             capabilities[id].enableCustomTranslation = true;
-        if (
-            !browserVersion ||
-            browserVersion === 'any' &&
-                typeof additionalCapabilities[capability] !== 'undefined'
-        ) {
-            const browserVersionKey =
-                additionalCapabilities[capability]['browserVersion'];
+        if (!browserVersion || browserVersion === 'any') {
+            const browserVersionKey = fileCapabilities['browserVersion'];
 
             if (
                 browserName &&
@@ -525,144 +563,276 @@ async function _parseCapabilities (id, capability) {
             )
                 capabilities[id].enableCustomTranslation = true;
         }
-        // showTrace('Parsed Capabilities ', capabilities[id]);
+        _recordSources(capabilities[id], recorded, sources, 'default');
+        checkCompatibility(capability, capabilities[id], sources, id);
+        capabilitiesLog.trace('Parsed capabilities', capabilities[id]);
 
         return capabilities[id];
     }
     catch (err) {
-        showTrace('util._parseCapabilities error :', err);
+        capabilitiesLog.debug('Error while parsing the capabilities', err);
 
-        return new Error(err);
+        return err instanceof Error ? err : new Error(err);
     }
 }
 
 /**
- * Updates the job status of a session based on the results of a test run.
- * 
- * @async
- * @function _updateJobStatus
- * 
- * @param {string} sessionID - The unique identifier of the session whose job status is to be updated.
- * @param {string} jobResult - The result of the job (e.g., 'done', 'errored', 'aborted').
- * @param {Object} jobData - An object containing information about the job, including total and passed tests.
- * @param {Object} possibleResults - An object that defines possible job result values for comparison.
+ * Records the origin of the capabilities that were set or changed since the previous call, and forgets
+ * the capabilities that were removed.
  * 
- * @returns {Promise<Object>} A promise that resolves to the response from the request to update the job status.
+ * @function _recordSources
  * 
- * @throws {Error} Throws an error if the request to update the job status fails.
+ * @param {Object} current - The capabilities of the session.
+ * @param {Object} previous - The copy returned by the previous call.
+ * @param {Object} sources - The origin of each capability, updated in place.
+ * @param {string|Function} source - The origin of the new values, or a function returning the origin of a capability.
  * 
+ * @returns {Object} A copy of the capabilities, to pass to the next call.
  */
-async function _updateJobStatus (
-    sessionID,
-    jobResult,
-    jobData,
-    possibleResults,
-) {
-    showTrace('Update Test Status called for ', sessionID);
-
-    const testsFailed =
-        jobResult === possibleResults.done ? jobData.total - jobData.passed : 0;
-    const jobPassed = jobResult === possibleResults.done && testsFailed === 0;
+function _recordSources (current, previous, sources, source) {
+    for (const [key, value] of Object.entries(current)) {
+        if (JSON.stringify(value) !== JSON.stringify(previous[key]))
+            sources[key] = typeof source === 'function' ? source(key) : source;
+    }
+    for (const key of Object.keys(sources))
+        if (!(key in current)) delete sources[key];
 
-    let errorReason = '';
+    return { ...current };
+}
 
-    if (testsFailed > 0) errorReason = testsFailed + ' tests failed';
-    else if (jobResult === possibleResults.errored)
-        errorReason = jobData.message;
-    else if (jobResult === possibleResults.aborted)
-        errorReason = 'Session aborted';
+/**
+ * Describes where the option that sets a capability came from.
+ * 
+ * @function _getConfigSource
+ * 
+ * @param {string} capability - The capability.
+ * 
+ * @returns {string} "env <VARIABLE>", "config file <path>" or "default".
+ */
+function _getConfigSource (capability) {
+    const option = CAPABILITY_OPTIONS[capability];
 
-    const options = {
-        method: 'PATCH',
+    return option ? _describeConfigSource(`capabilities.${option}`) : 'default';
+}
 
-        uri: `${AUTOMATION_BASE_URL}/sessions/${sessionID}`,
+/**
+ * Describes where a configuration option came from.
+ * 
+ * @function _describeConfigSource
+ * 
+ * @param {string} option - The option, as `<section>.<key>`.
+ * 
+ * @returns {string} "env <VARIABLE>", "config file <path>" or "default".
+ */
+function _describeConfigSource (option) {
+    const config = getConfig();
+    const source = config.sources[option];
 
-        headers: {
-            Authorization: `Basic ${Buffer.from(PROCESS_ENVIRONMENT.LT_USERNAME + ':' + PROCESS_ENVIRONMENT.LT_ACCESS_KEY).toString('base64')}`,
+    if (!source || source === 'default') return 'default';
 
-            'Content-Type': 'application/json',
+    return source === config.file ? `config file ${source}` : `env ${source}`;
+}
 
-            Accept: 'application/json',
+/**
+ * Summarizes the result of a job from the data TestCafe reports.
+ * 
+ * @function _summarizeJobResult
+ * 
+ * @param {string} sessionID - The unique identifier of the session.
+ * @param {string} jobResult - The result of the job (e.g., 'done', 'errored', 'aborted').
+ * @param {Object} jobData - The job data: `total`, `passed` and optionally `skipped`, `quarantined`, `warnings`,
+ *                           `message` and `duration` (ms).
+ * @param {Object} possibleResults - An object that defines possible job result values for comparison.
+ * 
+ * @returns {Object} The summary: `status` ('passed' or 'failed'), the test counts, `warnings`, `message` and `duration`.
+ */
+function _summarizeJobResult (sessionID, jobResult, jobData, possibleResults) {
+    const data = jobData || {};
+    const total = data.total || 0;
+    const passed = data.passed || 0;
+    const skipped = data.skipped || 0;
+    const failed = jobResult === possibleResults.done ? Math.max(total - passed - skipped, 0) : 0;
+
+    return {
+        sessionID,
+        jobResult,
+        status:      jobResult === possibleResults.done && failed === 0 ? 'passed' : 'failed',
+        total,
+        passed,
+        failed,
+        skipped,
+        quarantined: data.quarantined || 0,
+        warnings:    Array.isArray(data.warnings) ? data.warnings.length : data.warnings || 0,
+        message:     data.message || '',
+        duration:    data.duration,
+    };
+}
 
-            client: 'testcafe',
-        },
+/**
+ * Builds the reason shown on the LambdaTest dashboard, e.g. "2 of 10 tests failed, 1 skipped, 3 warnings, 42.1s".
+ * A `reporting.formatReason` function from the config file may replace it.
+ * 
+ * @function _formatJobReason
+ * 
+ * @param {Object} result - The summary returned by _summarizeJobResult.
+ * @param {Object} possibleResults - An object that defines possible job result values for comparison.
+ * @param {Function} [formatReason] - The user hook, called with the summary and the default reason.
+ * 
+ * @returns {string} The reason.
+ */
+function _formatJobReason (result, possibleResults, formatReason) {
+    const details = [];
+
+    let reason = '';
+
+    if (result.jobResult === possibleResults.errored) reason = result.message;
+    else if (result.jobResult === possibleResults.aborted) reason = 'Session aborted';
+    else {
+        details.push(
+            result.failed > 0
+                ? `${result.failed} of ${result.total} tests failed`
+                : `${result.passed} of ${result.total} tests passed`,
+        );
+        if (result.skipped) details.push(`${result.skipped} skipped`);
+        if (result.quarantined) details.push(`${result.quarantined} quarantined`);
+        if (result.warnings) details.push(`${result.warnings} warning${result.warnings === 1 ? '' : 's'}`);
+        if (result.duration !== void 0) details.push(`${(result.duration / 1000).toFixed(1)}s`);
 
-        body: {
-            // eslint-disable-next-line camelcase
-            status_ind: jobPassed ? 'passed' : 'failed',
+        reason = details.join(', ') + (result.message ? `. ${result.message}` : '');
+    }
 
-            reason: errorReason,
-        },
+    if (!formatReason) return reason;
 
-        json: true,
-    };
+    try {
+        const customReason = formatReason(result, reason);
 
-    return await requestApi(options);
+        return typeof customReason === 'string' ? customReason : reason;
+    }
+    catch (err) {
+        log.warn(`reporting.formatReason failed (${err.message}), using the default reason.`);
+        return reason;
+    }
 }
 
 /**
- * Waits for a specified tunnel to be in a running state.
+ * Returns the headers of LambdaTest automation API requests, with the credentials as basic auth.
  * 
- * @async
- * @function _waitForTunnelRunning
- * 
- * @param {number} tunnel - The index of the tunnel to check for its running status.
- * 
- * @returns {Promise<void>} A promise that resolves when the tunnel is confirmed to be running.
- * 
- * @throws {Error} Throws an error if the tunnel instance is not properly initialized or if there is an issue
- * checking the running status of the tunnel.
+ * @function _getApiHeaders
  * 
+ * @returns {Object} The request headers.
  */
-async function _waitForTunnelRunning (tunnel) {
-    while (!connectorInstances[tunnel].isRunning) {
-        await sleep(5000);
-        retryCounter--;
-        connectorInstances[tunnel].isRunning =
-            await connectorInstances[tunnel].connectorInstance.isRunning();
-        if (retryCounter <= 0) connectorInstances[tunnel].isRunning = true;
-    }
+function _getApiHeaders () {
+    const { credentials } = getConfig();
+
+    return {
+        Authorization: `Basic ${Buffer.from(credentials.username + ':' + credentials.accessKey).toString('base64')}`,
+
+        'Content-Type': 'application/json',
+
+        Accept: 'application/json',
+
+        client: 'testcafe',
+    };
 }
 
 /**
- * Saves a file with the provided base64 data to the specified path.
- * 
- * @function _saveFile
+ * Sends an API request, retrying with backoff when the API is unavailable (network errors, 429 and 5xx).
  * 
- * @param {string} screenshotPath - The path where the file should be saved, including the file name.
- * @param {string} base64Data - The base64 encoded data to be written to the file.
+ * @async
+ * @function _requestWithRetry
  * 
- * @returns {Promise<void>} A promise that resolves when the file is successfully saved.
+ * @param {Object} options - Options for the API request.
+ * @param {number} retries - The number of retries after the first attempt.
+ * @param {number[]} [retryStatuses=[]] - Other HTTP statuses to retry, e.g. 404 for a resource that is not ready yet.
  * 
- * @throws {Error} Throws an error if there is an issue writing the file.
+ * @returns {Promise<Object>} A promise that resolves to the response body.
  * 
+ * @throws {Error} Throws an error if the API rejects the request or is still unavailable after the last retry.
  */
-function _saveFile (screenshotPath, base64Data) {
-    return new Promise((resolve, reject) => {
-        fs.writeFile(screenshotPath, base64Data, 'base64', (err) =>
-            err ? reject(err) : resolve(),
-        );
-    });
+async function _requestWithRetry (options, retries, retryStatuses = []) {
+    for (let attempt = 1; ; attempt++) {
+        let response = null;
+
+        let error = null;
+
+        try {
+            response = await request(options);
+        }
+        catch (err) {
+            if (!err.code) throw err;
+            error = err;
+        }
+
+        if (response) {
+            if (response.statusCode < 400) return response.body;
+
+            const body = Buffer.isBuffer(response.body) ? response.body.toString() : JSON.stringify(response.body);
+
+            error = new Error(`${options.method} ${options.uri} failed with HTTP ${response.statusCode}: ${body}`);
+            if (response.statusCode !== 429 && response.statusCode < 500 && !retryStatuses.includes(response.statusCode))
+                throw error;
+        }
+
+        if (attempt > retries) throw error;
+
+        const delay = getRetryDelay(attempt, { retryDelay: 1, retryMaxDelay: 10 });
+
+        log.warn(`${error.message} (retrying in ${(delay / 1000).toFixed(1)}s)`);
+        await sleep(delay);
+    }
 }
 
 /**
- * Retrieves additional capabilities from a JSON file.
+ * Updates the job status of a session based on the results of a test run.
+ * The reason carries the test counts, warnings and duration (or the error message), and the session
+ * is tagged with `reporting.tags`.
  * 
- * @function _getAdditionalCapabilities
+ * @async
+ * @function _updateJobStatus
  * 
- * @param {string} filename - The path to the JSON file containing additional capabilities.
+ * @param {string} sessionID - The unique identifier of the session whose job status is to be updated.
+ * @param {string} jobResult - The result of the job (e.g., 'done', 'errored', 'aborted').
+ * @param {Object} jobData - An object containing information about the job, including total and passed tests.
+ * @param {Object} possibleResults - An object that defines possible job result values for comparison.
  * 
- * @returns {Promise<Object>} A promise that resolves with the parsed JSON data.
+ * @returns {Promise<Object>} A promise that resolves to the response from the request to update the job status.
  * 
- * @throws {Error} Throws an error if there is an issue reading or parsing the file.
+ * @throws {Error} Throws an error if the request to update the job status fails, after retrying
+ *                 while the API is unavailable.
  * 
  */
-function _getAdditionalCapabilities (filename) {
-    return new Promise((resolve, reject) => {
-        fs.readFile(filename, 'utf8', (err, data) =>
-            err ? reject(err) : resolve(JSON.parse(data)),
-        );
-    });
+async function _updateJobStatus (
+    sessionID,
+    jobResult,
+    jobData,
+    possibleResults,
+) {
+    log.debug(`Updating the status of session ${sessionID}`);
+
+    const { endpoints, reporting } = getConfig();
+    const result = _summarizeJobResult(sessionID, jobResult, jobData, possibleResults);
+    const body = {
+        // eslint-disable-next-line camelcase
+        status_ind: result.status,
+
+        reason: _formatJobReason(result, possibleResults, reporting.formatReason),
+    };
+
+    if (reporting.tags.length) body.tags = reporting.tags;
+
+    const options = {
+        method: 'PATCH',
+
+        uri: `${endpoints.sessionApi}/${sessionID}`,
+
+        headers: _getApiHeaders(),
+
+        body,
+
+        json: true,
+    };
+
+    return await _requestWithRetry(options, reporting.retries);
 }
 
 /**
@@ -681,37 +851,16 @@ function sleep (ms) {
     });
 }
 
-/**
- * Logs a message and optional data to the console if tracing is enabled.
- * 
- * @function showTrace
- * 
- * @param {string} message - The message to log to the console.
- * @param {*} [data] - Optional data to log along with the message. This can be of any type.
- * 
- * @returns {void}
- * 
- */
-function showTrace (message, data) {
-    /*eslint no-console: ["error", { allow: ["warn", "log", "error"] }] */
-    if (isTraceEnable) {
-        console.log(message);
-        if (data) console.log(data);
-    }
-}
-
 export default {
     LT_AUTH_ERROR,
-    PROCESS_ENVIRONMENT,
-    AUTOMATION_DASHBOARD_URL,
-    AUTOMATION_HUB_URL,
-    LT_TUNNEL_NUMBER,
-    MOBILE_AUTOMATION_HUB_URL,
-    _connect,
-    _destroy,
+    _describeConfigSource,
+    _formatJobReason,
+    _getApiHeaders,
     _getBrowserList,
+    _getHubUrl,
     _parseCapabilities,
-    _saveFile,
+    _requestWithRetry,
+    _summarizeJobResult,
     _updateJobStatus,
-    showTrace,
+    sleep,
 };
@@ -0,0 +1,118 @@
+'use strict';
+
+const LT_OPTIONS = 'LT:Options';
+const LT_OPTIONS_ALIASES = ['lt:options', LT_OPTIONS];
+
+const W3C_CAPABILITIES = [
+    'browserName',
+    'browserVersion',
+    'platformName',
+    'acceptInsecureCerts',
+    'pageLoadStrategy',
+    'proxy',
+    'setWindowRect',
+    'timeouts',
+    'strictFileInteractability',
+    'unhandledPromptBehavior',
+    'webSocketUrl',
+];
+
+// Legacy keys that have another name in LT:Options; every other legacy key keeps its name.
+const RENAMED_CAPABILITIES = {
+    version:            'browserVersion',
+    platform:           'platformName',
+    'selenium_version': 'seleniumVersion',
+};
+
+/**
+ * Checks whether a value is a plain object, i.e. something to merge rather than to replace.
+ *
+ * @function _isPlainObject
+ *
+ * @param {*} value - The value to check.
+ *
+ * @returns {boolean} `true` for object literals.
+ */
+function _isPlainObject (value) {
+    return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+/**
+ * Merges objects recursively. Nested objects are merged key by key; arrays and other values of `source` replace
+ * those of `target`. Neither argument is modified.
+ *
+ * @function deepMerge
+ *
+ * @param {Object} target - The base object.
+ * @param {Object} source - The object whose values take precedence.
+ *
+ * @returns {Object} The merged object.
+ */
+function deepMerge (target, source) {
+    const merged = { ...target };
+
+    for (const [key, value] of Object.entries(source)) {
+        merged[key] = _isPlainObject(value) && _isPlainObject(merged[key])
+            ? deepMerge(merged[key], value)
+            : value;
+    }
+    return merged;
+}
+
+/**
+ * Checks whether the capabilities of a session ask for the W3C protocol: LT_W3C is set, or the capability
+ * file provides an LT:Options block. Appium sessions keep using wd's own W3C support.
+ *
+ * @function isW3CCapabilities
+ *
+ * @param {Object} capabilities - The capabilities returned by _parseCapabilities.
+ *
+ * @returns {boolean} `true` if the session should be created with the W3C protocol.
+ */
+function isW3CCapabilities (capabilities) {
+    if (capabilities.allowW3C) return false;
+
+    return capabilities.w3c === true || LT_OPTIONS_ALIASES.some((key) => key in capabilities);
+}
+
+/**
+ * Translates the flat legacy capabilities into W3C capabilities: the standard keys (`browserName`,
+ * `browserVersion`, `platformName`, ...) and vendor keys such as `goog:chromeOptions` stay at the top level,
+ * every LambdaTest key moves into `LT:Options`. An `LT:Options` (or `lt:options`) block given in the capability
+ * file is merged deeply, the flat keys taking precedence as they do for legacy sessions.
+ *
+ * @function toW3CCapabilities
+ *
+ * @param {Object} capabilities - The capabilities returned by _parseCapabilities.
+ *
+ * @returns {Object} The W3C capabilities, to be sent as `capabilities.alwaysMatch`.
+ */
+function toW3CCapabilities (capabilities) {
+    const w3cCapabilities = {};
+    const flatOptions = {};
+
+    let ltOptions = {};
+
+    for (const [key, value] of Object.entries(capabilities)) {
+        const name = RENAMED_CAPABILITIES[key] || key;
+
+        if (LT_OPTIONS_ALIASES.includes(key))
+            ltOptions = deepMerge(ltOptions, value);
+        else if (W3C_CAPABILITIES.includes(name) || name.includes(':')) {
+            if (!(name in w3cCapabilities) || name === key)
+                w3cCapabilities[name] = value;
+        }
+        else
+            flatOptions[name] = value;
+    }
+
+    w3cCapabilities[LT_OPTIONS] = deepMerge(ltOptions, flatOptions);
+
+    return w3cCapabilities;
+}
+
+export default {
+    deepMerge,
+    isW3CCapabilities,
+    toW3CCapabilities,
+};
@@ -0,0 +1,131 @@
+'use strict';
+import axios from 'axios';
+
+/**
+ * Creates a minimal W3C WebDriver client for a hub. It exposes the subset of the wd promise-chain API the provider
+ * uses (`init`, `get`, `quit`, `takeScreenshot`, `windowHandle`, `windowHandles`, `windowSize`, `maximize`, `execute`, `safeExecute`),
+ * so that W3C and legacy sessions are driven the same way, plus `takeFullPageScreenshot`, which only Firefox supports.
+ *
+ * @function createW3CDriver
+ *
+ * @param {string} hubUrl - The hub URL, with the credentials embedded as basic auth.
+ *
+ * @returns {Object} The driver. `sessionID` is set once `init` has created the session.
+ */
+function createW3CDriver (hubUrl) {
+    const url = new URL(hubUrl);
+    const auth = {
+        username: decodeURIComponent(url.username),
+        password: decodeURIComponent(url.password),
+    };
+
+    url.username = '';
+    url.password = '';
+
+    const baseUrl = url.toString().replace(/\/+$/, '');
+
+    const driver = {
+        sessionID: null,
+
+        /**
+         * Sends a command to the hub and unwraps its `value`.
+         *
+         * @async
+         * @function _command
+         *
+         * @param {string} name - The command name, used in error messages.
+         * @param {string} method - The HTTP method.
+         * @param {string} path - The path of the command, relative to the session.
+         * @param {Object} [data] - The request body.
+         *
+         * @returns {Promise<*>} The `value` of the response.
+         *
+         * @throws {Error} Throws an error with the W3C error code and message, the HTTP status (`httpCode`)
+         *                 and the response body (`data`), or the network error as is.
+         */
+        async _command (name, method, path, data) {
+            const sessionPath = name === 'init' ? '' : `/${driver.sessionID}`;
+
+            try {
+                const response = await axios({
+                    method,
+                    url:     `${baseUrl}/session${sessionPath}${path}`,
+                    data,
+                    auth,
+                    headers: { 'Content-Type': 'application/json; charset=utf-8', Accept: 'application/json' },
+                });
+
+                return response.data.value;
+            }
+            catch (err) {
+                if (!err.response) throw err;
+
+                const value = err.response.data && err.response.data.value || {};
+                const error = new Error(
+                    `[${name}] ${value.error || `HTTP ${err.response.status}`}\n${value.message || ''}`.trim(),
+                );
+
+                error.httpCode = err.response.status;
+                error.data = JSON.stringify(err.response.data);
+                throw error;
+            }
+        },
+
+        async init (capabilities) {
+            const value = await driver._command('init', 'POST', '', {
+                capabilities: { alwaysMatch: capabilities, firstMatch: [{}] },
+            });
+
+            driver.sessionID = value.sessionId;
+            return value.capabilities;
+        },
+
+        get (pageUrl) {
+            return driver._command('get', 'POST', '/url', { url: pageUrl });
+        },
+
+        quit () {
+            return driver._command('quit', 'DELETE', '');
+        },
+
+        takeScreenshot () {
+            return driver._command('takeScreenshot', 'GET', '/screenshot');
+        },
+
+        // A geckodriver extension; other browsers reject it as an unknown command.
+        takeFullPageScreenshot () {
+            return driver._command('takeFullPageScreenshot', 'GET', '/moz/screenshot/full');
+        },
+
+        windowHandle () {
+            return driver._command('windowHandle', 'GET', '/window');
+        },
+
+        windowHandles () {
+            return driver._command('windowHandles', 'GET', '/window/handles');
+        },
+
+        // W3C commands act on the current window, so the window handle is not needed.
+        windowSize (windowHandle, width, height) {
+            return driver._command('windowSize', 'POST', '/window/rect', { width, height });
+        },
+
+        maximize () {
+            return driver._command('maximize', 'POST', '/window/maximize', {});
+        },
+
+        execute (script, args = []) {
+            return driver._command('execute', 'POST', '/execute/sync', { script, args });
+        },
+
+        safeExecute (code, callback) {
+            driver.execute(`return ${code};`).then((value) => callback(null, value), callback);
+        },
+    };
+
+    return driver;
+}
+
+export default {
+    createW3CDriver,
+};
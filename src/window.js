@@ -0,0 +1,112 @@
+'use strict';
+import { getLogger } from './logger';
+
+// A second pass corrects the size when the browser chrome changes with the window, e.g. a scrollbar that appears.
+const RESIZE_ATTEMPTS = 2;
+
+const WINDOW_METRICS_SCRIPT = `return {
+    innerWidth:   window.innerWidth,
+    innerHeight:  window.innerHeight,
+    outerWidth:   window.outerWidth,
+    outerHeight:  window.outerHeight,
+    screenWidth:  window.screen.availWidth,
+    screenHeight: window.screen.availHeight
+};`;
+
+/**
+ * Measures the viewport, the window and the screen of a browser session.
+ *
+ * @async
+ * @function _getWindowMetrics
+ *
+ * @param {Object} webDriver - The WebDriver instance.
+ *
+ * @returns {Promise<Object>} `innerWidth` and `innerHeight` (the viewport), `outerWidth` and `outerHeight`
+ *                            (the window, browser chrome included), `screenWidth` and `screenHeight`
+ *                            (the screen, without the task bar), in CSS pixels.
+ */
+async function _getWindowMetrics (webDriver) {
+    return await webDriver.execute(WINDOW_METRICS_SCRIPT, []);
+}
+
+/**
+ * Resizes the window of a browser session so that its viewport, rather than the whole window, has the requested
+ * size: the browser chrome is measured and added to the window size.
+ *
+ * @async
+ * @function resizeViewport
+ *
+ * @param {Object} webDriver - The WebDriver instance.
+ * @param {number} width - The viewport width in CSS pixels.
+ * @param {number} height - The viewport height in CSS pixels.
+ * @param {string} [browserId] - The TestCafe browser id, for the log.
+ *
+ * @returns {Promise<void>} A promise that resolves when the window has been resized.
+ *
+ * @throws {Error} Throws an error if the window cannot be measured or resized.
+ */
+async function resizeViewport (webDriver, width, height, browserId) {
+    const windowHandle = await webDriver.windowHandle();
+
+    let metrics = await _getWindowMetrics(webDriver);
+
+    for (let attempt = 0; attempt < RESIZE_ATTEMPTS; attempt++) {
+        if (metrics.innerWidth === width && metrics.innerHeight === height) return;
+
+        await webDriver.windowSize(
+            windowHandle,
+            metrics.outerWidth + width - metrics.innerWidth,
+            metrics.outerHeight + height - metrics.innerHeight,
+        );
+        metrics = await _getWindowMetrics(webDriver);
+    }
+
+    if (metrics.innerWidth !== width || metrics.innerHeight !== height) {
+        getLogger('session', browserId).warn(
+            `The viewport is ${metrics.innerWidth}x${metrics.innerHeight} instead of the requested ${width}x${height}.`,
+        );
+    }
+}
+
+/**
+ * Checks whether a viewport size fits on the screen of a browser session, browser chrome included.
+ *
+ * @async
+ * @function canResizeViewport
+ *
+ * @param {Object} webDriver - The WebDriver instance.
+ * @param {number} width - The viewport width in CSS pixels.
+ * @param {number} height - The viewport height in CSS pixels.
+ *
+ * @returns {Promise<boolean>} `true` if the window can be resized to give the viewport this size.
+ *
+ * @throws {Error} Throws an error if the window cannot be measured.
+ */
+async function canResizeViewport (webDriver, width, height) {
+    const metrics = await _getWindowMetrics(webDriver);
+
+    return width + metrics.outerWidth - metrics.innerWidth <= metrics.screenWidth &&
+        height + metrics.outerHeight - metrics.innerHeight <= metrics.screenHeight;
+}
+
+/**
+ * Maximizes the current window of a browser session.
+ *
+ * @async
+ * @function maximizeCurrentWindow
+ *
+ * @param {Object} webDriver - The WebDriver instance.
+ *
+ * @returns {Promise<void>} A promise that resolves when the window has been maximized.
+ *
+ * @throws {Error} Throws an error if the window cannot be maximized.
+ */
+async function maximizeCurrentWindow (webDriver) {
+    await webDriver.maximize(await webDriver.windowHandle());
+}
+
+export default {
+    canResizeViewport,
+    maximizeCurrentWindow,
+    resizeViewport,
+};
@@ -0,0 +1,87 @@
+'use strict';
+const expect = require('chai').expect;
+const { isKnownAlias, normalizeOsName, parseAlias, resolveVersion, suggestAliases } = require('../../lib/aliases');
+
+const catalog = [
+    'Chrome@120.0:Windows 11',
+    'Chrome@119.0:Windows 11',
+    'Firefox@121.0:Windows 10',
+    'Chrome@76.0:OS X El Capitan',
+    'Safari@17.0:macOS Sonoma',
+    'Pixel 4@11:android',
+    'Galaxy S8@9:android:isReal',
+];
+
+// eslint-disable-next-line no-undef
+describe('Browser aliases', function () {
+    // eslint-disable-next-line no-undef
+    it('Should parse aliases with missing parts', function () {
+        expect(parseAlias('Chrome')).eql({
+            name: 'Chrome', version: 'any', platform: 'any', isReal: false, orientation: null, browser: null, base: 'Chrome',
+        });
+        expect(parseAlias('Galaxy S8@9:android:isReal')).eql({
+            name:        'Galaxy S8',
+            version:     '9',
+            platform:    'android',
+            isReal:      true,
+            orientation: null,
+            browser:     null,
+            base:        'Galaxy S8@9:android:isReal',
+        });
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should parse the orientation and browser qualifiers in any order', function () {
+        expect(parseAlias('Pixel 8@14:android:landscape:isReal:browser=Samsung Internet')).include({
+            platform:    'android',
+            isReal:      true,
+            orientation: 'landscape',
+            browser:     'Samsung Internet',
+            base:        'Pixel 8@14:android:isReal',
+        });
+        expect(parseAlias('Pixel 7@13:android:portrait')).include({ isReal: false, orientation: 'portrait', base: 'Pixel 7@13:android' });
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should normalize OS name variants', function () {
+        expect(normalizeOsName('win10')).eql('windows 10');
+        expect(normalizeOsName('Windows  11')).eql('windows 11');
+        expect(normalizeOsName('OS X El Capitan')).eql(normalizeOsName('macOS El Capitan'));
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should accept catalog aliases case-insensitively', function () {
+        expect(isKnownAlias('chrome@120.0:windows 11', catalog)).eql(true);
+        expect(isKnownAlias('Chrome@120:Win11', catalog)).eql(true);
+        expect(isKnownAlias('Chrome@76.0:macOS El Capitan', catalog)).eql(true);
+        expect(isKnownAlias('Galaxy S8@9:android:isReal', catalog)).eql(true);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should accept wildcard versions and platforms', function () {
+        expect(isKnownAlias('Chrome', catalog)).eql(true);
+        expect(isKnownAlias('Chrome@any:Windows 11', catalog)).eql(true);
+        expect(isKnownAlias('Firefox@latest:Windows 10', catalog)).eql(true);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should resolve relative version keywords', function () {
+        expect(resolveVersion('Chrome@latest:Windows 11', catalog)).eql({ keyword: 'latest', version: '120.0' });
+        expect(resolveVersion('Chrome@latest-1:Win11', catalog)).eql({ keyword: 'latest-1', version: '119.0' });
+        expect(resolveVersion('Chrome@latest-5:Windows 11', catalog)).eql({ keyword: 'latest-5', version: 'latest-5' });
+        expect(resolveVersion('Chrome@beta:Windows 11', catalog)).eql({ keyword: 'beta', version: 'beta' });
+        expect(resolveVersion('Chrome@120.0:Windows 11', catalog)).eql(null);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should reject unknown aliases', function () {
+        expect(isKnownAlias('Chrme@120.0:Windows 11', catalog)).eql(false);
+        expect(isKnownAlias('Chrome@99.0:Windows 11', catalog)).eql(false);
+        expect(isKnownAlias('Galaxy S8@9:android', catalog)).eql(false);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should suggest the closest aliases', function () {
+        expect(suggestAliases('Chrme@120.0:Windows 11', catalog)[0]).eql('Chrome@120.0:Windows 11');
+    });
+});
@@ -0,0 +1,155 @@
+'use strict';
+const expect = require('chai').expect;
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const provider = require('../../lib/index');
+const { resetConfig } = require('../../lib/config');
+const { getArtifactDir, queueArtifacts, waitForArtifacts } = require('../../lib/artifacts');
+const { recordSession } = require('../../lib/session-manifest');
+
+const ENV_NAMES = [
+    'LT_USERNAME', 'LT_ACCESS_KEY', 'LT_SESSION_API_URL', 'LT_MOBILE_SESSION_API_URL', 'LT_DOWNLOAD_ARTIFACTS', 'LT_ARTIFACTS_DIR',
+    'LT_ARTIFACT_RETRIES', 'LOG_LT_SESSION_URL', 'LT_SESSION_MANIFEST_PATH',
+];
+
+// eslint-disable-next-line no-undef
+describe('Session artifacts', function () {
+    const savedEnv = {};
+    const requests = [];
+
+    let server;
+
+    let dir;
+
+    // The video and the network log are not ready on the first request; the command log is forbidden.
+    const handle = (req, res) => {
+        const attempt = requests.filter((url) => url === req.url).length;
+
+        requests.push(req.url);
+
+        const reply = (status, body) => {
+            res.writeHead(status);
+            res.end(typeof body === 'string' ? body : JSON.stringify(body));
+        };
+
+        if (req.url === '/files/video.mp4') return reply(200, 'mp4 data');
+        if (req.url.endsWith('/video')) {
+            return attempt ? reply(200, { status: 'success', url: `http://127.0.0.1:${server.address().port}/files/video.mp4` })
+                : reply(404, { message: 'not ready' });
+        }
+        if (req.url.endsWith('/log/console')) return reply(200, [{ level: 'INFO', message: 'hello' }]);
+        if (req.url.endsWith('/log/network.har')) return attempt ? reply(200, { log: { entries: [] } }) : reply(404, {});
+        return reply(403, { message: 'forbidden' });
+    };
+
+    // eslint-disable-next-line no-undef
+    before(async function () {
+        server = http.createServer(handle);
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lt-artifacts-'));
+
+        const env = {
+            LT_USERNAME:               'jane',
+            LT_ACCESS_KEY:             'key',
+            LT_SESSION_API_URL:        `http://127.0.0.1:${server.address().port}/sessions`,
+            LT_MOBILE_SESSION_API_URL: `http://127.0.0.1:${server.address().port}/mobile/sessions`,
+            LT_DOWNLOAD_ARTIFACTS:     'true',
+            LT_ARTIFACTS_DIR:          dir,
+            LT_ARTIFACT_RETRIES:       '1',
+            LOG_LT_SESSION_URL:        'false',
+            LT_SESSION_MANIFEST_PATH:  path.join(dir, 'sessions'),
+        };
+
+        for (const name of ENV_NAMES) {
+            savedEnv[name] = process.env[name];
+            process.env[name] = env[name];
+        }
+        resetConfig();
+    });
+
+    // eslint-disable-next-line no-undef
+    after(function () {
+        server.close();
+        fs.rmSync(dir, { recursive: true });
+        for (const [name, value] of Object.entries(savedEnv)) {
+            if (value === void 0) delete process.env[name];
+            else process.env[name] = value;
+        }
+        resetConfig();
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should download the artifacts of each session into a directory per browser and session', async function () {
+        this.timeout(10000);
+
+        const warn = console.warn;
+
+        console.warn = () => {};
+        try {
+            queueArtifacts('browser-1', 'chrome@latest:Windows 11', 'abc123');
+            await waitForArtifacts();
+        }
+        finally {
+            console.warn = warn;
+        }
+
+        const sessionDir = getArtifactDir('chrome@latest:Windows 11', 'abc123');
+
+        expect(sessionDir).eql(path.join(dir, 'chrome@latest_Windows_11', 'abc123'));
+        expect(fs.readdirSync(sessionDir).sort()).eql(['console.json', 'network.har', 'video.mp4']);
+        expect(fs.readFileSync(path.join(sessionDir, 'video.mp4'), 'utf8')).eql('mp4 data');
+        expect(JSON.parse(fs.readFileSync(path.join(sessionDir, 'console.json'), 'utf8'))[0].message).eql('hello');
+        expect(requests.filter((url) => url === '/sessions/abc123/log/command').length).eql(1);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should download the artifacts of real-device sessions from the mobile automation API', async function () {
+        this.timeout(10000);
+
+        const warn = console.warn;
+
+        console.warn = () => {};
+        try {
+            queueArtifacts('browser-3', 'Galaxy S23:13:android:real', 'ghi789', true);
+            await waitForArtifacts();
+        }
+        finally {
+            console.warn = warn;
+        }
+
+        const sessionDir = getArtifactDir('Galaxy S23:13:android:real', 'ghi789');
+
+        expect(fs.readdirSync(sessionDir).sort()).eql(['console.json', 'network.har', 'video.mp4']);
+        expect(requests.filter((url) => url.includes('ghi789')).every((url) => url.startsWith('/mobile/sessions/ghi789/'))).eql(true);
+        expect(requests).include('/mobile/sessions/ghi789/log/command');
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should list the downloaded artifacts in the session manifest, even without LOG_LT_SESSION_URL', async function () {
+        this.timeout(10000);
+
+        const warn = console.warn;
+
+        recordSession('browser-2', { alias: 'chrome@latest:Windows 11', sessionId: 'def456' });
+        console.warn = () => {};
+        try {
+            queueArtifacts('browser-2', 'chrome@latest:Windows 11', 'def456');
+            await provider.dispose();
+        }
+        finally {
+            console.warn = warn;
+        }
+
+        const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'sessions.json'), 'utf8'));
+        const entry = manifest.sessions.find((session) => session.sessionId === 'def456');
+        const sessionDir = getArtifactDir('chrome@latest:Windows 11', 'def456');
+
+        expect(entry.artifacts).eql({
+            video:   path.join(sessionDir, 'video.mp4'),
+            console: path.join(sessionDir, 'console.json'),
+            network: path.join(sessionDir, 'network.har'),
+        });
+    });
+});
@@ -0,0 +1,142 @@
+'use strict';
+const expect = require('chai').expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getMatchingSections, readCapabilityFile, resolveCapabilitySections } = require('../../lib/capability-file');
+
+const SECTIONS = {
+    'chrome@*':                { 'LT:Options': { console: 'warn' }, tags: ['chrome'] },
+    '*':                       { network: true, 'LT:Options': { console: 'error', video: true } },
+    'Chrome@120.0:Windows 11': { 'LT:Options': { console: 'info' } },
+    'chrome@*:windows *':      { resolution: '1920x1080', tags: ['windows'] },
+    'firefox@*':               { network: false },
+};
+
+// eslint-disable-next-line no-undef
+describe('Capability file', function () {
+    // eslint-disable-next-line no-undef
+    it('Should apply the default, wildcard and exact sections from the least to the most specific', function () {
+        expect(getMatchingSections(SECTIONS, 'Chrome@120.0:Windows 11'))
+            .eql(['*', 'chrome@*', 'chrome@*:windows *', 'Chrome@120.0:Windows 11']);
+        expect(getMatchingSections(SECTIONS, 'chrome@119.0:macOS Sonoma')).eql(['*', 'chrome@*']);
+        expect(getMatchingSections(SECTIONS, 'safari@17.0:macOS Sonoma')).eql(['*']);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should ignore case and spaces around "@" and ":"', function () {
+        expect(getMatchingSections(SECTIONS, ' CHROME @ 120.0 : windows   11 '))
+            .eql(['*', 'chrome@*', 'chrome@*:windows *', 'Chrome@120.0:Windows 11']);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should keep the file order for sections that are as specific as each other', function () {
+        expect(getMatchingSections({ '*@120.00': {}, 'chrome@*': {} }, 'chrome@120.00')).eql(['*@120.00', 'chrome@*']);
+        expect(getMatchingSections({ 'chrome@*': {}, '*@120.00': {} }, 'chrome@120.00')).eql(['chrome@*', '*@120.00']);
+        expect(getMatchingSections({ 'Chrome@120.0': {}, 'chrome @ 120.0': {}, 'CHROME@120.0': {} }, 'chrome@120.0'))
+            .eql(['Chrome@120.0', 'chrome @ 120.0', 'CHROME@120.0']);
+        expect(getMatchingSections({ 'CHROME@120.0:Windows 11': {}, 'chrome@120.0:windows 11': {} }, 'Chrome@120.0:Windows 11'))
+            .eql(['CHROME@120.0:Windows 11', 'chrome@120.0:windows 11']);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should apply the sections of the alias without its orientation and browser qualifiers', function () {
+        const sections = {
+            'Galaxy S23@13:android:isReal:landscape:browser=firefox': { tags: ['exact'] },
+            '*:landscape*':                                           { deviceOrientation: 'landscape' },
+            '*:android:isReal':                                       { 'LT:Options': { visual: true } },
+            'Galaxy S23@13:android:isReal':                           { tags: ['base'] },
+            'Galaxy S23@13:android':                                  { tags: ['emulator'] },
+        };
+
+        expect(getMatchingSections(sections, 'Galaxy S23@13:android:isReal:landscape:browser=firefox')).eql([
+            '*:landscape*',
+            '*:android:isReal',
+            'Galaxy S23@13:android:isReal',
+            'Galaxy S23@13:android:isReal:landscape:browser=firefox',
+        ]);
+        expect(getMatchingSections(sections, 'Galaxy S23@13:android:landscape:isReal'))
+            .eql(['*:landscape*', '*:android:isReal', 'Galaxy S23@13:android:isReal']);
+        expect(resolveCapabilitySections(sections, 'Galaxy S23@13:android:isReal:browser=firefox').capabilities)
+            .eql({ 'LT:Options': { visual: true }, tags: ['base'] });
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should merge nested objects deeply and replace arrays', function () {
+        expect(resolveCapabilitySections(SECTIONS, 'Chrome@120.0:Windows 11').capabilities).eql({
+            network:      true,
+            resolution:   '1920x1080',
+            tags:         ['windows'],
+            'LT:Options': { console: 'info', video: true },
+        });
+        expect(resolveCapabilitySections(SECTIONS, 'firefox@latest').capabilities).eql({
+            network:      false,
+            'LT:Options': { console: 'error', video: true },
+        });
+    });
+
+    // eslint-disable-next-line no-undef
+    describe('Formats', function () {
+        let dir;
+
+        // eslint-disable-next-line no-undef
+        beforeEach(function () {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lt-capabilities-'));
+        });
+
+        // eslint-disable-next-line no-undef
+        afterEach(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        const write = (name, content) => {
+            const file = path.join(dir, name);
+
+            fs.writeFileSync(file, content);
+            return file;
+        };
+
+        // eslint-disable-next-line no-undef
+        it('Should read YAML files and interpolate environment variables', async function () {
+            const file = write('capabilities.yml', '"*":\n  build: "${CI_JOB}"\n  LT:Options:\n    tags: ["${CI_JOB}-${BRANCH}"]\n');
+
+            expect(await readCapabilityFile(file, { CI_JOB: '42', BRANCH: 'main' }))
+                .eql({ '*': { build: '42', 'LT:Options': { tags: ['42-main'] } } });
+        });
+
+        // eslint-disable-next-line no-undef
+        it('Should call the function exported by a JavaScript module with the parsed alias', async function () {
+            const file = write('capabilities.js', 'module.exports = (alias) => ({ name: `${alias.browserName} ${alias.alias}`, build: "$' + '{BUILD}" });');
+            const sections = await readCapabilityFile(file, { BUILD: 'nightly' });
+
+            expect(resolveCapabilitySections(sections, 'chrome@120.0:Windows 11', { browserName: 'chrome' })).eql({
+                capabilities: { name: 'chrome chrome@120.0:Windows 11', build: 'nightly' },
+                sections:     ['(function)'],
+            });
+        });
+
+        // eslint-disable-next-line no-undef
+        it('Should report syntax errors and missing variables with their location', async function () {
+            const json = write('capabilities.json', '{\n    "*": {\n        "network": true\n        "video": true\n    }\n}\n');
+            const yml = write('capabilities.yaml', '"*":\n  network: true\n   video: true\n');
+            const missing = write('missing.json', '{ "*": { "build": "${NOT_SET}" } }');
+            const messageOf = (promise) => promise.then(() => '', (err) => err.message);
+
+            expect(await messageOf(readCapabilityFile(json, {}))).contain(`${json}:4:9: Expected ',' or '}'`);
+            expect(await messageOf(readCapabilityFile(yml, {}))).contain(`${yml}:3:`);
+            expect(await messageOf(readCapabilityFile(missing, {}))).contain('environment variable NOT_SET');
+        });
+
+        // eslint-disable-next-line no-undef
+        it('Should locate JSON syntax errors whatever the wording of the parser', async function () {
+            const truncated = write('truncated.json', '{\n    "*": {\n        "network": true\n');
+            const token = write('token.json', '{\n    "*": nope\n}\n');
+            const escape = write('escape.json', '{ "*": { "build": "a\\q" } }');
+            const messageOf = (promise) => promise.then(() => '', (err) => err.message);
+
+            expect(await messageOf(readCapabilityFile(truncated, {}))).contain(`${truncated}:4:1: `);
+            expect(await messageOf(readCapabilityFile(token, {}))).contain(`${token}:2:10: `).and.not.contain('is not valid JSON');
+            expect(await messageOf(readCapabilityFile(escape, {}))).contain(`${escape}:1:21: `);
+        });
+    });
+});
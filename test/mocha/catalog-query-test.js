@@ -0,0 +1,66 @@
+'use strict';
+const expect = require('chai').expect;
+const { formatCatalog, parseVersionRange, queryCatalog } = require('../../lib/catalog-query');
+
+const catalog = [
+    'Chrome@118.0:Windows 11',
+    'Chrome@120.0:Windows 11',
+    'Chrome@beta:Windows 11',
+    'Chrome@119.0:Windows 11',
+    'Chrome@120.0:Windows 10',
+    'Chrome@119.0:Windows 10',
+    'Chrome@120.0:macOS Sonoma',
+    'Firefox@121.0:Windows 11',
+    'Pixel 8@14:android',
+    'iPhone 15@17:ios:isReal',
+];
+
+const aliases = (entries) => entries.map((entry) => entry.alias);
+
+// eslint-disable-next-line no-undef
+describe('Catalog query', function () {
+    // eslint-disable-next-line no-undef
+    it('Should match version ranges', function () {
+        const inRange = parseVersionRange('>=119, <=120');
+
+        expect(['118.0', '119.0', '120.0.6099', '121.0', 'beta'].filter(inRange)).eql(['119.0', '120.0.6099']);
+        expect(['118.0', '119.5', '121.0'].filter(parseVersionRange('119-120'))).eql(['119.5']);
+        expect(() => parseVersionRange('~120')).throw('invalid version condition');
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should filter by browser, OS, platform and type', function () {
+        expect(aliases(queryCatalog(catalog, { browsers: ['chrome'], os: ['win10'] })))
+            .eql(['Chrome@120.0:Windows 10', 'Chrome@119.0:Windows 10']);
+        expect(aliases(queryCatalog(catalog, { platforms: ['macos', 'android'] })))
+            .eql(['Chrome@120.0:macOS Sonoma', 'Pixel 8@14:android']);
+        expect(aliases(queryCatalog(catalog, { types: ['real'] }))).eql(['iPhone 15@17:ios:isReal']);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should keep the latest versions of each browser on each OS', function () {
+        expect(aliases(queryCatalog(catalog, { browsers: ['Chrome'], platforms: ['windows'], latest: 2 }))).eql([
+            'Chrome@120.0:Windows 10',
+            'Chrome@119.0:Windows 10',
+            'Chrome@120.0:Windows 11',
+            'Chrome@119.0:Windows 11',
+        ]);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should export JSON and CSV', function () {
+        const entries = queryCatalog(catalog, { browsers: ['firefox'] });
+
+        expect(JSON.parse(formatCatalog(entries, 'json'))).eql([{
+            alias:    'Firefox@121.0:Windows 11',
+            browser:  'Firefox',
+            version:  '121.0',
+            os:       'Windows 11',
+            platform: 'windows',
+            type:     'desktop',
+        }]);
+        expect(formatCatalog(entries, 'csv')).eql(
+            'alias,browser,version,os,platform,type\nFirefox@121.0:Windows 11,Firefox,121.0,Windows 11,windows,desktop',
+        );
+    });
+});
@@ -0,0 +1,318 @@
+'use strict';
+const expect = require('chai').expect;
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const provider = require('../../lib/index');
+const { resetConfig } = require('../../lib/config');
+const { _getBrowserList } = require('../../lib/util');
+
+const ENV_NAMES = [
+    'LT_USERNAME', 'LT_CAPABILITY_API_URL', 'LT_DEVICE_API_URL', 'LT_REAL_DEVICE_API_URL',
+    'LT_CATALOG_CACHE_DIR', 'LT_CATALOG_CACHE_TTL', 'LT_CATALOG_REFRESH', 'LT_CATALOG_CONCURRENCY',
+];
+const CATALOG = [
+    'Chrome@120.0:Windows 11',
+    'Safari@17.0:macOS Sonoma',
+    'Pixel 7@13:android',
+    'Galaxy S23@13:android:isReal',
+];
+
+// eslint-disable-next-line no-undef
+describe('Browser catalog', function () {
+    const savedEnv = {};
+    const requests = [];
+    // The paths that answer HTTP 500, to take a source or an OS offline.
+    const failing = new Set();
+
+    let server;
+
+    let osRequests = { active: 0, max: 0 };
+
+    let chromeVersions = ['120.0'];
+
+    let dir;
+
+    const handle = (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        requests.push(req.url);
+
+        const reply = (body) => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (failing.has(url.pathname) || failing.has(req.url)) {
+            res.writeHead(500);
+            return res.end('unavailable');
+        }
+        if (url.pathname === '/device') return reply({ android: [{ deviceName: 'Pixel 7', osVersion: [{ version: '13' }] }] });
+        if (url.pathname === '/real/list') {
+            return reply({
+                android: [{ devices: [{ deviceName: 'Galaxy S23', deviceType: 'real', isRealDevice: 1, osVersion: [{ version: '13' }] }] }],
+            });
+        }
+        if (url.searchParams.has('os')) {
+            const browser = url.searchParams.get('os') === '1'
+                ? { name: 'Chrome', versions: chromeVersions.map((version) => ({ version })) }
+                : { name: 'Safari', versions: [{ version: '17.0' }] };
+
+            // The browsers of an OS are slow to come, so that concurrent requests overlap.
+            osRequests.max = Math.max(osRequests.max, ++osRequests.active);
+            return setTimeout(() => {
+                osRequests.active--;
+                reply([browser]);
+            }, 20);
+        }
+        return reply({ os: [{ id: 1, name: 'Windows 11' }, { id: 2, name: 'macOS Sonoma' }] });
+    };
+
+    const setEnv = (env) => {
+        Object.assign(process.env, env);
+        resetConfig();
+    };
+
+    const getBrowserList = async (options) => {
+        const warn = console.warn;
+        const warnings = [];
+
+        console.warn = (line) => warnings.push(line);
+        try {
+            return { ...await _getBrowserList(options), warnings };
+        }
+        finally {
+            console.warn = warn;
+        }
+    };
+
+    const isValidBrowserName = async (alias) => {
+        const error = console.error;
+        const warn = console.warn;
+        const lines = [];
+
+        console.error = console.warn = (line) => lines.push(line);
+        try {
+            return { valid: await provider.isValidBrowserName(alias), lines };
+        }
+        finally {
+            console.error = error;
+            console.warn = warn;
+        }
+    };
+
+    const cacheFiles = () => fs.readdirSync(dir).filter((file) => file.endsWith('.json'));
+
+    // eslint-disable-next-line no-undef
+    before(async function () {
+        server = http.createServer(handle);
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        for (const name of ENV_NAMES) savedEnv[name] = process.env[name];
+    });
+
+    // eslint-disable-next-line no-undef
+    beforeEach(function () {
+        const api = `http://127.0.0.1:${server.address().port}`;
+
+        requests.length = 0;
+        failing.clear();
+        osRequests = { active: 0, max: 0 };
+        chromeVersions = ['120.0'];
+        provider.catalogRefresh = null;
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lt-catalog-'));
+        for (const name of ENV_NAMES) delete process.env[name];
+        setEnv({
+            LT_USERNAME:            'jane',
+            LT_CAPABILITY_API_URL:  `${api}/capability`,
+            LT_DEVICE_API_URL:      `${api}/device`,
+            LT_REAL_DEVICE_API_URL: `${api}/real/list`,
+            LT_CATALOG_CACHE_DIR:   dir,
+        });
+    });
+
+    // eslint-disable-next-line no-undef
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // eslint-disable-next-line no-undef
+    after(function () {
+        server.close();
+        for (const [name, value] of Object.entries(savedEnv)) {
+            if (value === void 0) delete process.env[name];
+            else process.env[name] = value;
+        }
+        resetConfig();
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should serve the catalog from the cache while it is fresh', async function () {
+        expect(await getBrowserList()).eql({ browsers: CATALOG, failedSources: [], failedOs: [], fromCache: false, warnings: [] });
+        expect(cacheFiles().length).eql(1);
+
+        requests.length = 0;
+
+        expect(await getBrowserList()).deep.include({ browsers: CATALOG, fromCache: true });
+        expect(requests).eql([]);
+
+        expect((await getBrowserList({ refresh: true })).browsers).eql(CATALOG);
+        expect(requests.length).eql(5);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should rebuild the catalog once the cache has expired', async function () {
+        await getBrowserList();
+
+        const file = path.join(dir, cacheFiles()[0]);
+        const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+        fs.writeFileSync(file, JSON.stringify({ ...entry, createdAt: Date.now() - 25 * 60 * 60 * 1000 }));
+        requests.length = 0;
+
+        expect((await getBrowserList()).browsers).eql(CATALOG);
+        expect(requests.length).eql(5);
+        expect(JSON.parse(fs.readFileSync(file, 'utf8')).createdAt).above(entry.createdAt);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should fall back to the last cached list of a source that cannot be fetched', async function () {
+        await getBrowserList();
+        failing.add('/device');
+
+        const file = path.join(dir, cacheFiles()[0]);
+        const cached = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const result = await getBrowserList({ refresh: true });
+
+        expect(result.browsers).eql(CATALOG);
+        expect(result.failedSources).eql(['emulated']);
+        expect(result.warnings.length).eql(1);
+        expect(result.warnings[0]).contain('emulated devices could not be fetched').and.contain('using the cached list from');
+        // The cached list of the source that failed is kept.
+        expect(JSON.parse(fs.readFileSync(file, 'utf8')).sources).eql(cached.sources);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should keep one cache per account and endpoints', async function () {
+        await getBrowserList();
+        setEnv({ LT_USERNAME: 'john' });
+        requests.length = 0;
+
+        await getBrowserList();
+
+        expect(requests.length).eql(5);
+        expect(cacheFiles().length).eql(2);
+
+        setEnv({ LT_DEVICE_API_URL: `http://127.0.0.1:${server.address().port}/device/` });
+        await getBrowserList();
+
+        // A trailing slash does not make another endpoint.
+        expect(cacheFiles().length).eql(2);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should not use the cache when its TTL is 0', async function () {
+        setEnv({ LT_CATALOG_CACHE_TTL: '0' });
+
+        await getBrowserList();
+        await getBrowserList();
+
+        expect(requests.length).eql(10);
+        expect(cacheFiles()).eql([]);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should fetch the browsers of each OS concurrently, within the concurrency limit', async function () {
+        await getBrowserList();
+
+        expect(osRequests.max).eql(2);
+
+        setEnv({ LT_CATALOG_CONCURRENCY: '1' });
+        osRequests = { active: 0, max: 0 };
+
+        expect((await getBrowserList({ refresh: true })).browsers).eql(CATALOG);
+        expect(osRequests.max).eql(1);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should leave out the sources that cannot be fetched and keep the others', async function () {
+        failing.add('/real/list');
+        failing.add('/capability?os=2&format=array');
+
+        const result = await getBrowserList();
+
+        expect(result.browsers).eql(['Chrome@120.0:Windows 11', 'Pixel 7@13:android']);
+        expect(result.failedSources).eql(['desktop', 'real']);
+        expect(result.failedOs).eql(['macOS Sonoma']);
+        expect(result.warnings.length).eql(2);
+        expect(result.warnings.join('\n'))
+            .contain('desktop browsers could not be fetched (browsers for macOS Sonoma could not be fetched), the list may be incomplete')
+            .and.contain('real devices could not be fetched');
+        // Only the sources that were fetched are cached.
+        expect(JSON.parse(fs.readFileSync(path.join(dir, cacheFiles()[0]), 'utf8')).sources)
+            .eql({ emulated: ['Pixel 7@13:android'] });
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should cache a partial catalog and report the sources missing from it', async function () {
+        failing.add('/real/list');
+        await getBrowserList();
+        requests.length = 0;
+
+        const result = await getBrowserList();
+
+        expect(requests).eql([]);
+        expect(result).deep.include({ browsers: CATALOG.slice(0, 3), failedSources: ['real'], fromCache: true });
+
+        provider._setCatalog(result);
+
+        const unchecked = await isValidBrowserName('Galaxy S24@14:android:isReal');
+
+        expect(unchecked.valid).eql(true);
+        expect(unchecked.lines.join('\n')).contain('because the browser list is unavailable');
+        expect((await isValidBrowserName('Chrme@120.0:Windows 11')).valid).eql(false);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should not cache anything when every source fails', async function () {
+        failing.add('/capability');
+        failing.add('/device');
+        failing.add('/real/list');
+
+        expect((await getBrowserList()).failedSources).eql(['desktop', 'emulated', 'real']);
+        expect(cacheFiles()).eql([]);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should only skip the validation of aliases whose OS could not be fetched', async function () {
+        failing.add('/capability?os=2&format=array');
+        provider._setCatalog(await getBrowserList());
+
+        expect((await isValidBrowserName('Chrome@120.0:Windows 11')).valid).eql(true);
+
+        const misspelled = await isValidBrowserName('Chrme@120.0:Windows 11');
+
+        expect(misspelled.valid).eql(false);
+        expect(misspelled.lines[0]).contain('ERROR [capabilities]').and.contain("Unknown LambdaTest browser alias 'Chrme@120.0:Windows 11'. Did you mean 'Chrome@120.0:Windows 11'?");
+
+        const unchecked = await isValidBrowserName('Safari@18.0:macOS Sonoma');
+
+        expect(unchecked.valid).eql(true);
+        expect(unchecked.lines[0]).contain('because the browser list is unavailable');
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should rebuild a cached catalog once before rejecting an alias', async function () {
+        await getBrowserList();
+        chromeVersions = ['120.0', '121.0'];
+        provider._setCatalog(await getBrowserList());
+        requests.length = 0;
+
+        expect((await isValidBrowserName('Chrome@121.0:Windows 11')).valid).eql(true);
+        expect(requests.length).eql(5);
+        expect(provider.catalogFromCache).eql(false);
+
+        expect((await isValidBrowserName('Chrome@122.0:Windows 11')).valid).eql(false);
+        expect(requests.length).eql(5);
+    });
+});
@@ -0,0 +1,79 @@
+'use strict';
+const expect = require('chai').expect;
+const { resetConfig } = require('../../lib/config');
+const { checkCompatibility, getSessionType, resolveAliasQualifiers } = require('../../lib/compatibility');
+
+// eslint-disable-next-line no-undef
+describe('Capability compatibility', function () {
+    const warn = console.warn;
+    const warnings = [];
+
+    // eslint-disable-next-line no-undef
+    beforeEach(function () {
+        warnings.length = 0;
+        console.warn = (line) => warnings.push(line);
+    });
+
+    // eslint-disable-next-line no-undef
+    afterEach(function () {
+        console.warn = warn;
+        delete process.env.LT_INCOMPATIBLE_CAPABILITIES;
+        resetConfig();
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should tell desktop browsers, emulated and real devices apart', function () {
+        expect(getSessionType({ browserName: 'chrome', platform: 'windows 11' })).eql('desktop');
+        expect(getSessionType({ browserName: 'chrome', platformName: 'android', deviceName: 'Pixel 7' })).eql('emulated');
+        expect(getSessionType({ platformName: 'ios', deviceName: 'iPhone 14', isRealMobile: true })).eql('real');
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should drop the options a real device does not support, with a warning', function () {
+        const capabilities = checkCompatibility(
+            'iPhone 14@16:ios:isReal',
+            { platformName: 'ios', isRealMobile: true, resolution: '1920x1080', video: true, 'LT:Options': { timezone: 'UTC' } },
+            { resolution: 'env LT_RESOLUTION' },
+        );
+
+        expect(capabilities).eql({ platformName: 'ios', isRealMobile: true, video: true, 'LT:Options': {} });
+        expect(warnings.length).eql(2);
+        expect(warnings[0]).contain("iPhone 14@16:ios:isReal: 'resolution' (from env LT_RESOLUTION) is not supported on real devices");
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should reject incompatible options in error mode', function () {
+        process.env.LT_INCOMPATIBLE_CAPABILITIES = 'error';
+        resetConfig();
+
+        expect(() => checkCompatibility('Pixel 7@13:android', { platformName: 'android', 'safari.popups': true }))
+            .throw(/Pixel 7@13:android: 'safari.popups' is not supported on emulated mobile devices/);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should check resolutions, Selenium versions and timezones', function () {
+        const desktop = { browserName: 'chrome', platform: 'windows 11' };
+
+        for (const valid of [{ resolution: '1920x1080' }, { timezone: 'UTC+05:30' }, { timezone: 'Asia/Kolkata' }, { timezone: 'Kolkata' }])
+            expect(() => checkCompatibility('chrome@latest:Windows 11', { ...desktop, ...valid })).not.throw();
+
+        expect(() => checkCompatibility('chrome@latest:Windows 11', { ...desktop, resolution: '1920*1080', 'selenium_version': 'latest', timezone: 'Mars/Olympus' }))
+            .throw(/resolution.*\n.*selenium_version.*\n.*timezone/);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should map the orientation and browser qualifiers of mobile aliases', function () {
+        expect(resolveAliasQualifiers('Pixel 8@14:android:isReal:landscape:browser=firefox'))
+            .eql({ deviceOrientation: 'landscape', browserName: 'firefox' });
+        expect(resolveAliasQualifiers('Galaxy S23@13:android:isReal:browser=Samsung Internet')).eql({ browserName: 'samsung' });
+        expect(resolveAliasQualifiers('iPhone 14@16:ios:portrait')).eql({ deviceOrientation: 'portrait' });
+        expect(resolveAliasQualifiers('Pixel 8@14:android:isReal')).eql({});
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should report unsupported qualifiers', function () {
+        expect(() => resolveAliasQualifiers('Pixel 7@13:android:browser=firefox'))
+            .throw("'firefox' is not available on android emulated mobile devices, expected chrome");
+        expect(() => resolveAliasQualifiers('chrome@120.0:Windows 11:landscape')).throw("'landscape' only applies to mobile devices");
+    });
+});
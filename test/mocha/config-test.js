@@ -0,0 +1,108 @@
+'use strict';
+const expect = require('chai').expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../../lib/config');
+
+// eslint-disable-next-line no-undef
+describe('Configuration', function () {
+    let cwd = null;
+
+    // eslint-disable-next-line no-undef
+    beforeEach(function () {
+        cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'lt-config-'));
+    });
+
+    // eslint-disable-next-line no-undef
+    afterEach(function () {
+        fs.rmSync(cwd, { recursive: true, force: true });
+    });
+
+    function writeConfig (name, content) {
+        fs.writeFileSync(path.join(cwd, name), JSON.stringify(content));
+    }
+
+    // eslint-disable-next-line no-undef
+    it('Should apply defaults when nothing is configured', function () {
+        const config = loadConfig({ cwd, env: {} });
+
+        expect(config.tunnel.number).eql(1);
+        expect(config.capabilities.console).eql(false);
+        expect(config.endpoints.hub).eql('https://hub.lambdatest.com:443/wd/hub');
+        expect(config.endpoints.sessionApi).eql('https://api.lambdatest.com/automation/api/v1/sessions');
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should let environment variables override the config file', function () {
+        writeConfig('lambdatest.config.json', { tunnel: { number: 3 }, capabilities: { console: true } });
+
+        const config = loadConfig({ cwd, env: { LT_TUNNEL_NUMBER: '2', LT_CONSOLE: 'false' } });
+
+        expect(config.tunnel.number).eql(2);
+        expect(config.capabilities.console).eql(false);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should record where each value comes from', function () {
+        writeConfig('lambdatest.config.json', { tunnel: { number: 3 }, capabilities: { console: true } });
+
+        const config = loadConfig({ cwd, env: { LT_CONSOLE: 'false' } });
+
+        expect(config.sources['capabilities.console']).eql('LT_CONSOLE');
+        expect(config.sources['tunnel.number']).eql(path.join(cwd, 'lambdatest.config.json'));
+        expect(config.sources['tunnel.verbose']).eql('default');
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should still read the former name of an environment variable', function () {
+        writeConfig('lambdatest.config.json', { logging: { manifestPath: 'from-file' } });
+
+        const legacy = loadConfig({ cwd, env: { LT_SESSION_LOG_PATH: 'reports/sessions' } });
+
+        expect(legacy.logging.manifestPath).eql('reports/sessions');
+        expect(legacy.sources['logging.manifestPath']).eql('LT_SESSION_LOG_PATH');
+
+        const current = loadConfig({ cwd, env: { LT_SESSION_LOG_PATH: 'reports/sessions', LT_SESSION_MANIFEST_PATH: 'manifest' } });
+
+        expect(current.logging.manifestPath).eql('manifest');
+        expect(current.sources['logging.manifestPath']).eql('LT_SESSION_MANIFEST_PATH');
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should read the lambdatest key of .testcaferc.json', function () {
+        writeConfig('.testcaferc.json', { browsers: ['lambdatest:Chrome'], lambdatest: { capabilities: { build: 'Nightly' } } });
+
+        expect(loadConfig({ cwd, env: {} }).capabilities.build).eql('Nightly');
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should read a .testcaferc.json with comments, as TestCafe does', function () {
+        fs.writeFileSync(path.join(cwd, '.testcaferc.json'), [
+            '{',
+            '    // Browsers run on LambdaTest',
+            '    "browsers": ["lambdatest:Chrome"], /* more later */',
+            '    lambdatest: { capabilities: { build: "Nightly" } },',
+            '}',
+        ].join('\n'));
+
+        expect(loadConfig({ cwd, env: {} }).capabilities.build).eql('Nightly');
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should report unknown keys and invalid values together', function () {
+        writeConfig('lambdatest.config.json', { tunel: {}, tunnel: { numbr: 2, proxyPort: 'x' } });
+
+        expect(() => loadConfig({ cwd, env: { LT_VIDEO: 'maybe' } }))
+            .to.throw(/unknown section 'tunel', did you mean 'tunnel'/)
+            .with.property('problems')
+            .that.has.length(4);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should not print secrets in error messages', function () {
+        writeConfig('lambdatest.config.json', { credentials: { accessKey: 42 } });
+
+        expect(() => loadConfig({ cwd, env: {} })).to.throw(/credentials\.accessKey: expected a string, got <hidden>/);
+    });
+});
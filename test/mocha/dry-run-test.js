@@ -0,0 +1,92 @@
+'use strict';
+const expect = require('chai').expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resetConfig } = require('../../lib/config');
+const { formatDryRun, resolveDryRun } = require('../../lib/dry-run');
+
+const ENV = {
+    LT_RESOLUTION:      '1920x1080',
+    LT_CAPABILITY_PATH: null,
+    LT_TUNNEL_NAME:     '',
+    LT_TUNNEL_NUMBER:   '2',
+};
+
+// eslint-disable-next-line no-undef
+describe('Dry run', function () {
+    const savedEnv = {};
+
+    let dir = null;
+
+    // eslint-disable-next-line no-undef
+    before(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lt-dry-run-'));
+        ENV.LT_CAPABILITY_PATH = path.join(dir, 'capabilities.json');
+        fs.writeFileSync(ENV.LT_CAPABILITY_PATH, JSON.stringify({
+            '*':        { timezone: 'UTC+01:00' },
+            'chrome@*': { accessKey: 'secret', network: true },
+        }));
+
+        for (const [name, value] of Object.entries(ENV)) {
+            savedEnv[name] = process.env[name];
+            process.env[name] = value;
+        }
+        resetConfig();
+    });
+
+    // eslint-disable-next-line no-undef
+    after(function () {
+        for (const [name, value] of Object.entries(savedEnv)) {
+            if (value === void 0) delete process.env[name];
+            else process.env[name] = value;
+        }
+        resetConfig();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should tell where each capability comes from and hide credentials', async function () {
+        const [entry] = await resolveDryRun(['chrome@120.0:Windows 11']);
+
+        expect(entry.protocol).eql('legacy');
+        expect(entry.capabilities.accessKey).eql('<hidden>');
+        expect(entry.capabilities.resolution).eql('1920x1080');
+        expect(entry.sources).include({
+            tunnel:      'default',
+            browserName: 'alias',
+            version:     'alias',
+            timezone:    'capability file',
+            network:     'capability file',
+            resolution:  'env LT_RESOLUTION',
+            name:        'default',
+        });
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should print one table per alias', async function () {
+        const table = formatDryRun(await resolveDryRun(['chrome@120.0:Windows 11']), 'table').split('\n');
+
+        expect(table[0]).eql('chrome@120.0:Windows 11 (legacy protocol)');
+        expect(table[1]).eql('  Tunnel: from a pool of 2 (env LT_TUNNEL_NUMBER)');
+        expect(table.some((line) => /^ {2}resolution +"1920x1080" +env LT_RESOLUTION$/.test(line))).eql(true);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should tell which tunnel the sessions would use', async function () {
+        expect((await resolveDryRun(['chrome@120.0:Windows 11']))[0].tunnel)
+            .eql({ name: 'from a pool of 2', source: 'env LT_TUNNEL_NUMBER' });
+
+        process.env.LT_TUNNEL_NAME = 'shared-tunnel';
+        resetConfig();
+
+        try {
+            expect((await resolveDryRun(['chrome@120.0:Windows 11']))[0].tunnel)
+                .eql({ name: 'shared-tunnel', source: 'env LT_TUNNEL_NAME' });
+        }
+        finally {
+            process.env.LT_TUNNEL_NAME = ENV.LT_TUNNEL_NAME;
+            resetConfig();
+        }
+    });
+});
@@ -0,0 +1,171 @@
+'use strict';
+const expect = require('chai').expect;
+const http = require('http');
+const provider = require('../../lib/index');
+const { resetConfig } = require('../../lib/config');
+const { _formatJobReason, _summarizeJobResult, _updateJobStatus } = require('../../lib/util');
+
+const ENV_NAMES = ['LT_USERNAME', 'LT_ACCESS_KEY', 'LT_SESSION_API_URL', 'LT_REPORT_RETRIES'];
+const JOB_RESULT = { done: 'done', errored: 'errored', aborted: 'aborted' };
+
+// eslint-disable-next-line no-undef
+describe('Job results', function () {
+    const savedEnv = {};
+    const requests = [];
+    const warnings = [];
+    const warn = console.warn;
+    // The HTTP statuses the session API answers with, in order; 200 once they run out.
+    const statuses = [];
+
+    let server;
+
+    // eslint-disable-next-line no-undef
+    before(async function () {
+        server = http.createServer((req, res) => {
+            let body = '';
+
+            req.on('data', (chunk) => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                const status = statuses.shift() || 200;
+
+                requests.push({ method: req.method, url: req.url, body: JSON.parse(body || 'null') });
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(status === 200 ? { status: 'success' } : { message: 'unavailable' }));
+            });
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+        const env = {
+            LT_USERNAME:        'jane',
+            LT_ACCESS_KEY:      'key',
+            LT_SESSION_API_URL: `http://127.0.0.1:${server.address().port}/sessions`,
+            LT_REPORT_RETRIES:  '1',
+        };
+
+        for (const name of ENV_NAMES) {
+            savedEnv[name] = process.env[name];
+            process.env[name] = env[name];
+        }
+        resetConfig();
+    });
+
+    // eslint-disable-next-line no-undef
+    beforeEach(function () {
+        requests.length = 0;
+        warnings.length = 0;
+        statuses.length = 0;
+        console.warn = (line) => warnings.push(line);
+    });
+
+    // eslint-disable-next-line no-undef
+    afterEach(function () {
+        console.warn = warn;
+    });
+
+    // eslint-disable-next-line no-undef
+    after(function () {
+        server.close();
+        for (const [name, value] of Object.entries(savedEnv)) {
+            if (value === void 0) delete process.env[name];
+            else process.env[name] = value;
+        }
+        resetConfig();
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should summarize the test counts of a run', function () {
+        const data = { total: 10, passed: 7, skipped: 1, quarantined: 2, warnings: ['a', 'b', 'c'], duration: 42100 };
+
+        expect(_summarizeJobResult('S1', 'done', data, JOB_RESULT)).eql({
+            sessionID:   'S1',
+            jobResult:   'done',
+            status:      'failed',
+            total:       10,
+            passed:      7,
+            failed:      2,
+            skipped:     1,
+            quarantined: 2,
+            warnings:    3,
+            message:     '',
+            duration:    42100,
+        });
+        expect(_summarizeJobResult('S1', 'done', { total: 3, passed: 3 }, JOB_RESULT)).include({ status: 'passed', failed: 0 });
+        expect(_summarizeJobResult('S1', 'errored', { message: 'boom' }, JOB_RESULT))
+            .include({ status: 'failed', total: 0, failed: 0, message: 'boom' });
+        expect(_summarizeJobResult('S1', 'aborted', void 0, JOB_RESULT)).include({ status: 'failed', warnings: 0 });
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should build the default reason', function () {
+        const reasonOf = (jobResult, data) => _formatJobReason(_summarizeJobResult('S1', jobResult, data, JOB_RESULT), JOB_RESULT);
+
+        expect(reasonOf('done', { total: 10, passed: 7, skipped: 1, warnings: 3, duration: 42100 }))
+            .eql('2 of 10 tests failed, 1 skipped, 3 warnings, 42.1s');
+        expect(reasonOf('done', { total: 2, passed: 2, quarantined: 1, warnings: 1, message: 'Flaky' }))
+            .eql('2 of 2 tests passed, 1 quarantined, 1 warning. Flaky');
+        expect(reasonOf('errored', { message: 'Browser disconnected' })).eql('Browser disconnected');
+        expect(reasonOf('aborted', {})).eql('Session aborted');
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should let formatReason replace the reason', function () {
+        const result = _summarizeJobResult('S1', 'done', { total: 1, passed: 1 }, JOB_RESULT);
+        const calls = [];
+
+        expect(_formatJobReason(result, JOB_RESULT, (summary, reason) => {
+            calls.push([summary, reason]);
+            return `[job 7] ${reason}`;
+        })).eql('[job 7] 1 of 1 tests passed');
+        expect(calls).eql([[result, '1 of 1 tests passed']]);
+        expect(warnings).eql([]);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should fall back to the default reason when formatReason fails', function () {
+        const result = _summarizeJobResult('S1', 'done', { total: 1, passed: 1 }, JOB_RESULT);
+
+        expect(_formatJobReason(result, JOB_RESULT, () => 42)).eql('1 of 1 tests passed');
+        expect(warnings).eql([]);
+
+        expect(_formatJobReason(result, JOB_RESULT, () => {
+            throw new Error('CI_JOB_ID is not set');
+        })).eql('1 of 1 tests passed');
+        expect(warnings.length).eql(1);
+        expect(warnings[0]).contain('reporting.formatReason failed (CI_JOB_ID is not set), using the default reason.');
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should retry the status update while the API is unavailable', async function () {
+        this.timeout(5000);
+        statuses.push(503);
+
+        expect(await _updateJobStatus('S1', 'done', { total: 1, passed: 1 }, JOB_RESULT)).eql({ status: 'success' });
+        expect(requests.map((request) => `${request.method} ${request.url}`)).eql(['PATCH /sessions/S1', 'PATCH /sessions/S1']);
+        // eslint-disable-next-line camelcase
+        expect(requests[1].body).eql({ status_ind: 'passed', reason: '1 of 1 tests passed' });
+        expect(warnings.length).eql(1);
+        expect(warnings[0]).contain('failed with HTTP 503').and.contain('retrying in');
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should log a status update that still fails and go on', async function () {
+        const jobResult = provider.JOB_RESULT;
+
+        statuses.push(404);
+        provider.JOB_RESULT = JOB_RESULT;
+        provider.openedBrowsers['browser-1'] = { sessionID: 'S2', startedAt: Date.now() };
+
+        try {
+            expect(await provider.reportJobResult('browser-1', 'done', { total: 1, passed: 1 })).eql(null);
+            expect(requests.length).eql(1);
+            expect(warnings.length).eql(1);
+            expect(warnings[0]).contain('The status of session S2 could not be updated: PATCH').and.contain('failed with HTTP 404');
+        }
+        finally {
+            provider.JOB_RESULT = jobResult;
+            delete provider.openedBrowsers['browser-1'];
+        }
+    });
+});
@@ -0,0 +1,99 @@
+'use strict';
+const expect = require('chai').expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resetConfig } = require('../../lib/config');
+const { bindSession, getLogger } = require('../../lib/logger');
+
+const ENV_NAMES = ['LT_LOG_LEVEL', 'LT_LOG_FORMAT', 'LT_LOG_FILE', 'LT_ENABLE_TRACE', 'LT_ACCESS_KEY'];
+const CONSOLE_METHODS = ['log', 'warn', 'error'];
+
+// eslint-disable-next-line no-undef
+describe('Logger', function () {
+    const savedEnv = {};
+    const savedConsole = {};
+    const lines = [];
+
+    const setEnv = (env) => {
+        for (const name of ENV_NAMES) {
+            if (env[name] === void 0) delete process.env[name];
+            else process.env[name] = env[name];
+        }
+        resetConfig();
+    };
+
+    // eslint-disable-next-line no-undef
+    beforeEach(function () {
+        lines.length = 0;
+        for (const name of ENV_NAMES) savedEnv[name] = process.env[name];
+        for (const method of CONSOLE_METHODS) {
+            savedConsole[method] = console[method];
+            console[method] = (line) => lines.push({ method, line });
+        }
+    });
+
+    // eslint-disable-next-line no-undef
+    afterEach(function () {
+        for (const method of CONSOLE_METHODS) console[method] = savedConsole[method];
+        setEnv(savedEnv);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should drop the entries below the configured level', function () {
+        setEnv({ LT_LOG_LEVEL: 'warn' });
+
+        const log = getLogger('tunnel');
+
+        log.error('failed');
+        log.warn('slow');
+        log.info('started');
+        log.debug('details');
+
+        expect(lines.map(({ method }) => method)).eql(['error', 'warn']);
+        expect(lines[1].line).match(/^\S+ WARN {2}\[tunnel\] slow$/);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should log at the trace level when LT_ENABLE_TRACE is set', function () {
+        setEnv({ LT_ENABLE_TRACE: 'true' });
+        getLogger('api').trace('response');
+
+        expect(lines.length).eql(1);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should write JSON lines with the browser id and session ID', function () {
+        setEnv({ LT_LOG_FORMAT: 'json', LT_ACCESS_KEY: 's3cr3t' });
+
+        const log = getLogger('session', 'browser-1');
+
+        log.info('creating');
+        bindSession('browser-1', 'abc123');
+        log.warn('retrying with s3cr3t', { key: 's3cr3t', error: new Error('boom') });
+
+        const [first, second] = lines.map(({ line }) => JSON.parse(line));
+
+        expect(first).include({ level: 'info', namespace: 'session', browserId: 'browser-1', message: 'creating' });
+        expect(first).not.have.property('sessionId');
+        expect(second).include({ level: 'warn', browserId: 'browser-1', sessionId: 'abc123', message: 'retrying with <hidden>' });
+        expect(second.data.key).eql('<hidden>');
+        expect(second.data.error.message).eql('boom');
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should repeat the prefix on every line and append to the log file', function () {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'lt-log-')), 'provider.log');
+
+        setEnv({ LT_LOG_FILE: file });
+        bindSession('browser-2', 'def456');
+        getLogger('session', 'browser-2').info('first\nsecond');
+
+        const written = fs.readFileSync(file, 'utf8').trimEnd().split('\n');
+
+        expect(written.length).eql(2);
+        for (const line of written) expect(line).match(/ INFO {2}\[session\] \[browser-2 def456\] /);
+        expect(written.join('\n')).eql(lines[0].line);
+        fs.rmSync(path.dirname(file), { recursive: true });
+    });
+});
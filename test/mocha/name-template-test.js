@@ -0,0 +1,38 @@
+'use strict';
+const expect = require('chai').expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getGitInfo, renderTemplate, validateTemplate } = require('../../lib/name-template');
+
+// eslint-disable-next-line no-undef
+describe('Name templates', function () {
+    // eslint-disable-next-line no-undef
+    it('Should fill in placeholders and environment variables', function () {
+        const values = { browser: 'chrome', version: '120.0', os: 'Windows 11', device: void 0, index: 2 };
+
+        expect(renderTemplate('{browser} {version} on {os} {device}#{index} {env:CI_JOB}', values, { CI_JOB: '77' }))
+            .eql('chrome 120.0 on Windows 11 #2 77');
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should report invalid placeholders', function () {
+        expect(validateTemplate('{browser} {git.branch} {env:CI_JOB}')).eql([]);
+        expect(validateTemplate('{brwser}')[0]).to.match(/^unknown placeholder '\{brwser\}', did you mean '\{browser\}'\?/);
+        expect(validateTemplate('{env:}')[0]).to.match(/must name an environment variable/);
+        expect(validateTemplate('{browser')).eql(['unmatched \'{\' or \'}\'']);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should read the branch and commit from the .git directory', function () {
+        const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'lt-git-'));
+        const sha = 'a'.repeat(40);
+
+        fs.mkdirSync(path.join(cwd, '.git'));
+        fs.writeFileSync(path.join(cwd, '.git', 'HEAD'), 'ref: refs/heads/feature/login\n');
+        fs.writeFileSync(path.join(cwd, '.git', 'packed-refs'), `# pack-refs\n${sha} refs/heads/feature/login\n`);
+
+        expect(getGitInfo(path.join(cwd))).eql({ branch: 'feature/login', sha });
+        fs.rmSync(cwd, { recursive: true, force: true });
+    });
+});
@@ -0,0 +1,145 @@
+'use strict';
+const expect = require('chai').expect;
+const http = require('http');
+const { resetConfig } = require('../../lib/config');
+
+const ENV_NAMES = [
+    'LT_USERNAME', 'LT_ACCESS_KEY', 'LT_GRID_URL', 'LT_W3C', 'LT_TUNNEL_NAME', 'LT_TUNNEL_NUMBER',
+    'LT_TUNNEL_HEALTH_CHECK_INTERVAL', 'LT_VALIDATE_ALIASES', 'LOG_LT_SESSION_URL', 'LT_DOWNLOAD_ARTIFACTS',
+];
+
+const stoppedTunnels = [];
+
+class FakeTunnel {
+    async start (tunnelArguments) {
+        this.tunnelArguments = tunnelArguments;
+        this.running = true;
+    }
+
+    async isRunning () {
+        return this.running;
+    }
+
+    async getTunnelName () {
+        return this.tunnelArguments.tunnelName.split('_')[0];
+    }
+
+    async stop () {
+        this.running = false;
+        stoppedTunnels.push(this.tunnelArguments.tunnelName);
+    }
+}
+
+// eslint-disable-next-line no-undef
+describe('Opening browsers', function () {
+    // The provider is loaded with a fresh tunnel pool that starts fake tunnel processes.
+    const modules = ['@lambdatest/node-tunnel', '../../lib/tunnel-pool', '../../lib/index'].map((name) => require.resolve(name));
+    const savedModules = modules.map((name) => require.cache[name]);
+    const savedEnv = {};
+    const commands = [];
+
+    let server;
+
+    let provider;
+
+    let pool;
+
+    // A W3C hub whose sessions cannot open pages with "broken" in their URL.
+    const handle = (req, res) => {
+        let body = '';
+
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            const data = JSON.parse(body || '{}');
+            const reply = (status, value) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ value }));
+            };
+
+            commands.push(`${req.method} ${req.url}`);
+
+            if (req.url === '/wd/hub/session') return reply(200, { sessionId: `S${commands.length}`, capabilities: {} });
+            if (req.url.endsWith('/url') && data.url.includes('broken'))
+                return reply(500, { error: 'unknown error', message: 'page crashed' });
+            return reply(200, null);
+        });
+    };
+
+    // eslint-disable-next-line no-undef
+    before(async function () {
+        server = http.createServer(handle);
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+        const env = {
+            LT_USERNAME:                     'jane',
+            LT_ACCESS_KEY:                   'key',
+            LT_GRID_URL:                     `http://127.0.0.1:${server.address().port}/wd/hub`,
+            LT_W3C:                          'true',
+            LT_TUNNEL_NAME:                  '',
+            LT_TUNNEL_NUMBER:                '1',
+            LT_TUNNEL_HEALTH_CHECK_INTERVAL: '0',
+            LT_VALIDATE_ALIASES:             'false',
+            LOG_LT_SESSION_URL:              'false',
+            LT_DOWNLOAD_ARTIFACTS:           'false',
+        };
+
+        for (const name of ENV_NAMES) {
+            savedEnv[name] = process.env[name];
+            process.env[name] = env[name];
+        }
+        resetConfig();
+
+        require.cache[modules[0]] = { id: modules[0], filename: modules[0], loaded: true, exports: FakeTunnel };
+        delete require.cache[modules[1]];
+        delete require.cache[modules[2]];
+        provider = require('../../lib/index');
+        pool = require('../../lib/tunnel-pool');
+        provider.setUserAgentMetaInfo = () => {};
+    });
+
+    // eslint-disable-next-line no-undef
+    after(async function () {
+        await pool.stopTunnels();
+        server.close();
+        modules.forEach((name, index) => {
+            if (savedModules[index]) require.cache[name] = savedModules[index];
+            else delete require.cache[name];
+        });
+        for (const [name, value] of Object.entries(savedEnv)) {
+            if (value === void 0) delete process.env[name];
+            else process.env[name] = value;
+        }
+        resetConfig();
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should only clean up the browser that failed to start', async function () {
+        const log = console.log;
+
+        let error = null;
+
+        console.log = () => {};
+        try {
+            await provider.openBrowser('browser-1', 'http://localhost/ok', 'chrome@120.0:Windows 11');
+            await provider.openBrowser('browser-2', 'http://localhost/broken', 'chrome@120.0:Windows 11').catch((err) => {
+                error = err;
+            });
+        }
+        finally {
+            console.log = log;
+        }
+
+        expect(error.message).contain('page crashed');
+        expect(Object.keys(provider.openedBrowsers)).eql(['browser-1']);
+        // The session of the failed browser is quit, the other one is left alone.
+        expect(commands.filter((command) => command.startsWith('DELETE'))).eql(['DELETE /wd/hub/session/S3']);
+        expect(stoppedTunnels).eql([]);
+        expect(pool.getTunnelStats().map((tunnel) => [tunnel.healthy, tunnel.activeSessions])).eql([[true, 1]]);
+
+        await provider.closeBrowser('browser-1');
+
+        expect(pool.getTunnelStats()[0].activeSessions).eql(0);
+    });
+});
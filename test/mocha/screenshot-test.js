@@ -0,0 +1,103 @@
+'use strict';
+const expect = require('chai').expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const { resetConfig } = require('../../lib/config');
+const { captureScreenshot, saveScreenshot } = require('../../lib/screenshot');
+
+// A page of 120 rows in a 100x50 viewport, with a 10 pixel scrollbar. Each row is as red as its page offset.
+const createDriver = (metrics = {}) => {
+    const page = { viewportWidth: 100, viewportHeight: 50, pageHeight: 120, scrollX: 0, scrollY: 0, devicePixelRatio: 1, ...metrics };
+    const driver = {
+        scrolls: [],
+
+        async execute (script, args) {
+            if (!script.includes('scrollTo')) return { ...page };
+
+            page.scrollY = Math.min(args[1], page.pageHeight - page.viewportHeight);
+            driver.scrolls.push(page.scrollY);
+            return page.scrollY;
+        },
+
+        async takeScreenshot () {
+            const image = new PNG({ width: 110, height: 60 });
+
+            for (let y = 0; y < image.height; y++) {
+                for (let x = 0; x < image.width; x++)
+                    image.data.set([page.scrollY + y, 0, 0, 255], (y * image.width + x) * 4);
+            }
+            return PNG.sync.write(image).toString('base64');
+        },
+    };
+
+    return driver;
+};
+
+const redAt = (image, y) => image.data[y * image.width * 4];
+
+// eslint-disable-next-line no-undef
+describe('Screenshots', function () {
+    // eslint-disable-next-line no-undef
+    before(function () {
+        process.env.LT_FULL_PAGE_SCROLL_DELAY = '0';
+        resetConfig();
+    });
+
+    // eslint-disable-next-line no-undef
+    after(function () {
+        delete process.env.LT_FULL_PAGE_SCROLL_DELAY;
+        resetConfig();
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should crop viewport screenshots to the page size', async function () {
+        const screenshot = await captureScreenshot(createDriver({ devicePixelRatio: 0.5 }), { pageWidth: 100, pageHeight: 50 });
+
+        expect([screenshot.width, screenshot.height]).eql([50, 25]);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should not crop real-device screenshots', async function () {
+        const screenshot = await captureScreenshot(createDriver(), { pageWidth: 100, pageHeight: 50, isRealMobile: true });
+
+        expect([screenshot.width, screenshot.height]).eql([110, 60]);
+        expect(redAt(screenshot, 59)).eql(59);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should stitch full-page screenshots and restore the scroll position', async function () {
+        const driver = createDriver({ scrollY: 30 });
+        const screenshot = await captureScreenshot(driver, { fullPage: true });
+
+        expect([screenshot.width, screenshot.height]).eql([100, 120]);
+        for (const y of [0, 49, 50, 99, 100, 119]) expect(redAt(screenshot, y)).eql(y);
+        expect(driver.scrolls).eql([0, 50, 70, 30]);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should use the native full-page command when the browser has one', async function () {
+        const driver = createDriver();
+        const native = new PNG({ width: 100, height: 120 });
+
+        driver.takeFullPageScreenshot = async () => PNG.sync.write(native).toString('base64');
+
+        const screenshot = await captureScreenshot(driver, { fullPage: true });
+
+        expect(screenshot.height).eql(120);
+        expect(driver.scrolls).eql([]);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should create missing directories and leave the thumbnail to TestCafe', async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lt-screenshots-'));
+        const file = path.join(dir, 'run', 'test 1', '1.png');
+
+        await saveScreenshot(new PNG({ width: 480, height: 130 }), file);
+
+        expect(PNG.sync.read(fs.readFileSync(file)).width).eql(480);
+        expect(fs.readdirSync(path.dirname(file))).eql(['1.png']);
+        fs.rmSync(dir, { recursive: true });
+    });
+});
@@ -0,0 +1,48 @@
+'use strict';
+const expect = require('chai').expect;
+const { formatManifest } = require('../../lib/session-manifest');
+
+const entries = [
+    {
+        alias:        'Chrome@120.0:Windows 11',
+        sessionId:    'A1',
+        dashboardUrl: 'https://automation.lambdatest.com/logs/?sessionID=A1',
+        tunnel:       'tunnel-1',
+        startedAt:    '2024-01-01T10:00:00.000Z',
+        endedAt:      '2024-01-01T10:00:42.500Z',
+        status:       'passed',
+    },
+    {
+        alias:        'Safari@17.0:macOS Sonoma',
+        sessionId:    'B2',
+        dashboardUrl: 'https://automation.lambdatest.com/logs/?sessionID=B2',
+        startedAt:    '2024-01-01T10:00:00.000Z',
+        status:       'failed',
+    },
+];
+
+// eslint-disable-next-line no-undef
+describe('Session manifest', function () {
+    // eslint-disable-next-line no-undef
+    it('Should list the sessions as JSON', function () {
+        expect(JSON.parse(formatManifest(entries, 'json')).sessions).eql(entries);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should report failed sessions as JUnit failures with properties', function () {
+        const junit = formatManifest(entries, 'junit');
+
+        expect(junit).to.contain('<testsuite name="LambdaTest sessions" tests="2" failures="1">');
+        expect(junit).to.contain('<testcase classname="lambdatest" name="Chrome@120.0:Windows 11" time="42.5">');
+        expect(junit).to.contain('<property name="tunnel" value="tunnel-1"/>');
+        expect(junit).to.contain('<failure message="Session failed: https://automation.lambdatest.com/logs/?sessionID=B2"/>');
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should link the sessions in the Markdown table', function () {
+        expect(formatManifest(entries, 'markdown').split('\n')).to.include.members([
+            '| Chrome@120.0:Windows 11 | passed | 42.5s | [A1](https://automation.lambdatest.com/logs/?sessionID=A1) |',
+            '| Safari@17.0:macOS Sonoma | failed |  | [B2](https://automation.lambdatest.com/logs/?sessionID=B2) |',
+        ]);
+    });
+});
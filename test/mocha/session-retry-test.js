@@ -0,0 +1,43 @@
+'use strict';
+const expect = require('chai').expect;
+const { classifySessionError, getRetryDelay, isRetryableSessionError } = require('../../lib/session-retry');
+
+function hubError (message, data) {
+    const err = new Error(`[init({})] The environment you requested was unavailable.\n${message}`);
+
+    err.data = data;
+    return err;
+}
+
+// eslint-disable-next-line no-undef
+describe('Session retry', function () {
+    // eslint-disable-next-line no-undef
+    it('Should classify session creation errors', function () {
+        const networkError = new Error('socket closed');
+
+        networkError.code = 'ECONNRESET';
+
+        expect(classifySessionError(hubError('Queue is full: parallel limit reached'))).eql('capacity');
+        expect(classifySessionError(hubError('', '502 Bad Gateway'))).eql('transient');
+        expect(classifySessionError(networkError)).eql('transient');
+        expect(classifySessionError(hubError('Unauthorized: check your access key'))).eql('auth');
+        expect(classifySessionError(hubError('Invalid browser version, parallel sessions are not affected'))).eql('capability');
+        expect(classifySessionError(hubError('Something else'))).eql('unknown');
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should only retry capacity and transient errors', function () {
+        expect(['capacity', 'transient', 'auth', 'capability', 'unknown'].filter(isRetryableSessionError))
+            .eql(['capacity', 'transient']);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should back off exponentially up to the maximum delay', function () {
+        const sessionConfig = { retryDelay: 5, retryMaxDelay: 30 };
+
+        expect(getRetryDelay(1, sessionConfig, () => 1)).eql(5000);
+        expect(getRetryDelay(3, sessionConfig, () => 1)).eql(20000);
+        expect(getRetryDelay(5, sessionConfig, () => 1)).eql(30000);
+        expect(getRetryDelay(2, sessionConfig, () => 0)).eql(5000);
+    });
+});
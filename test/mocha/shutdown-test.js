@@ -0,0 +1,225 @@
+'use strict';
+const expect = require('chai').expect;
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const provider = require('../../lib/index');
+const { resetConfig } = require('../../lib/config');
+
+const ENV_NAMES = ['LT_USERNAME', 'LT_ACCESS_KEY', 'LT_SESSION_API_URL', 'LT_SHUTDOWN_TIMEOUT', 'LT_REPORT_RETRIES', 'LT_TUNNEL_NAME'];
+// The events the test takes over; the listeners mocha has for them are put back afterwards.
+const PROCESS_EVENTS = ['SIGINT', 'SIGTERM', 'beforeExit'];
+const CRASH_EVENTS = ['uncaughtException', 'unhandledRejection'];
+
+const tick = (ms = 10) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// eslint-disable-next-line no-undef
+describe('Shutdown', function () {
+    const shutdownModule = require.resolve('../../lib/shutdown');
+    const savedEnv = {};
+    const exits = [];
+    const requests = [];
+    const { exit } = process;
+    const warn = console.warn;
+
+    let listeners = {};
+
+    let server;
+
+    // A fresh copy of the module for each test, as the cleanup runs once per process.
+    const loadShutdown = () => {
+        delete require.cache[shutdownModule];
+        return require('../../lib/shutdown');
+    };
+
+    // eslint-disable-next-line no-undef
+    before(async function () {
+        server = http.createServer((req, res) => {
+            let body = '';
+
+            req.on('data', (chunk) => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                requests.push({ method: req.method, url: req.url, body: JSON.parse(body || 'null') });
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end('{}');
+            });
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+        const env = {
+            LT_USERNAME:         'jane',
+            LT_ACCESS_KEY:       'key',
+            LT_SESSION_API_URL:  `http://127.0.0.1:${server.address().port}/sessions`,
+            LT_SHUTDOWN_TIMEOUT: '1',
+            LT_REPORT_RETRIES:   '0',
+            LT_TUNNEL_NAME:      'existing-tunnel',
+        };
+
+        for (const name of ENV_NAMES) {
+            savedEnv[name] = process.env[name];
+            process.env[name] = env[name];
+        }
+        resetConfig();
+    });
+
+    // eslint-disable-next-line no-undef
+    beforeEach(function () {
+        exits.length = 0;
+        requests.length = 0;
+        listeners = Object.fromEntries(PROCESS_EVENTS.concat(CRASH_EVENTS).map((event) => [event, process.listeners(event)]));
+        PROCESS_EVENTS.forEach((event) => process.removeAllListeners(event));
+        process.exit = (code) => exits.push(code);
+        console.warn = () => {};
+    });
+
+    // eslint-disable-next-line no-undef
+    afterEach(function () {
+        process.exit = exit;
+        console.warn = warn;
+        for (const event of PROCESS_EVENTS) {
+            process.removeAllListeners(event);
+            listeners[event].forEach((listener) => process.on(event, listener));
+        }
+    });
+
+    // eslint-disable-next-line no-undef
+    after(function () {
+        server.close();
+        for (const [name, value] of Object.entries(savedEnv)) {
+            if (value === void 0) delete process.env[name];
+            else process.env[name] = value;
+        }
+        resetConfig();
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should only handle signals and the end of the event loop', function () {
+        loadShutdown().installShutdownHandlers(async () => {});
+
+        for (const event of PROCESS_EVENTS) expect(process.listeners(event).length).eql(1);
+        for (const event of CRASH_EVENTS) expect(process.listeners(event)).eql(listeners[event]);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should clean up once, then exit with the code of the signal', async function () {
+        const reasons = [];
+
+        loadShutdown().installShutdownHandlers(async (reason) => {
+            reasons.push(reason);
+        });
+        process.emit('SIGTERM', 'SIGTERM');
+        await tick();
+        process.emit('beforeExit', 0);
+        await tick();
+
+        expect(reasons).eql(['SIGTERM']);
+        expect(exits).eql([143]);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should exit at once on a second signal', async function () {
+        let finishCleanup = null;
+
+        loadShutdown().installShutdownHandlers(() => new Promise((resolve) => {
+            finishCleanup = resolve;
+        }));
+
+        process.emit('SIGINT', 'SIGINT');
+        await tick();
+
+        expect(exits).eql([]);
+
+        process.emit('SIGINT', 'SIGINT');
+
+        expect(exits).eql([130]);
+
+        finishCleanup();
+        await tick();
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should exit when the cleanup does not finish within the shutdown timeout', async function () {
+        this.timeout(5000);
+        loadShutdown().installShutdownHandlers(() => new Promise(() => {}));
+
+        const startedAt = Date.now();
+
+        process.emit('SIGINT', 'SIGINT');
+        await tick(900);
+
+        expect(exits).eql([]);
+
+        await tick(300);
+
+        expect(exits).eql([130]);
+        expect(Date.now() - startedAt).within(1000, 1500);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should mark the open sessions as aborted and quit them', async function () {
+        const quits = [];
+        const createDriver = (sessionID) => ({
+            sessionID,
+            pingIntervalId: setInterval(() => {}, 1000),
+
+            async quit () {
+                quits.push(sessionID);
+            },
+        });
+
+        Object.assign(provider.openedBrowsers, {
+            'browser-1': createDriver('S1'),
+            'browser-2': createDriver('S2'),
+            'browser-3': createDriver(void 0),
+        });
+
+        await provider._shutdown('SIGINT');
+
+        expect(provider.openedBrowsers).eql({});
+        expect(quits.sort()).eql(['S1', 'S2']);
+        expect(requests.map((request) => `${request.method} ${request.url}`).sort())
+            .eql(['PATCH /sessions/S1', 'PATCH /sessions/S2']);
+        // eslint-disable-next-line camelcase
+        expect(requests[0].body).eql({ status_ind: 'failed', reason: 'Session aborted' });
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should not dispose again at the end of the event loop after a normal run', async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lt-shutdown-'));
+        const manifest = path.join(dir, 'sessions.json');
+        const saved = { LOG_LT_SESSION_URL: process.env.LOG_LT_SESSION_URL, LT_SESSION_LOG_PATH: process.env.LT_SESSION_LOG_PATH };
+        const warnings = [];
+
+        process.env.LOG_LT_SESSION_URL = 'true';
+        process.env.LT_SESSION_LOG_PATH = path.join(dir, 'sessions');
+        resetConfig();
+        console.warn = (line) => warnings.push(line);
+
+        try {
+            loadShutdown().installShutdownHandlers((reason) => provider._shutdown(reason));
+            await provider.dispose();
+
+            expect(fs.existsSync(manifest)).eql(true);
+            expect(warnings.length).eql(1);
+            expect(warnings[0]).contain('LT_SESSION_LOG_PATH is deprecated');
+
+            fs.rmSync(manifest);
+            process.emit('beforeExit', 0);
+            await tick(50);
+
+            expect(fs.existsSync(manifest)).eql(false);
+            expect(warnings.length).eql(1);
+        }
+        finally {
+            for (const [name, value] of Object.entries(saved)) {
+                if (value === void 0) delete process.env[name];
+                else process.env[name] = value;
+            }
+            resetConfig();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
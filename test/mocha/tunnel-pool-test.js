@@ -0,0 +1,264 @@
+'use strict';
+const expect = require('chai').expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resetConfig } = require('../../lib/config');
+
+const ENV = {
+    LT_USERNAME:                     'jane',
+    LT_ACCESS_KEY:                   'LT_s3cr3t',
+    LT_TUNNEL_NAME:                  '',
+    LT_TUNNEL_NUMBER:                '2',
+    LT_TUNNEL_START_TIMEOUT:         '1',
+    LT_TUNNEL_HEALTH_CHECK_INTERVAL: '0',
+};
+
+// How each new tunnel process behaves, in the order they are created: `delay` before start resolves,
+// `error` to make it fail, `running: false` for a tunnel that never reports it is running, `stopDelay`
+// before stop resolves.
+const behaviors = [];
+const instances = [];
+
+class FakeTunnel {
+    constructor () {
+        this.behavior = behaviors.shift() || {};
+        this.running = false;
+        this.stopped = false;
+        instances.push(this);
+    }
+
+    async start (tunnelArguments) {
+        this.tunnelArguments = tunnelArguments;
+        if (this.behavior.delay) await new Promise((resolve) => setTimeout(resolve, this.behavior.delay));
+        if (this.behavior.error) throw new Error(this.behavior.error);
+        this.running = this.behavior.running !== false;
+    }
+
+    async isRunning () {
+        return this.running;
+    }
+
+    async getTunnelName () {
+        return this.tunnelArguments.tunnelName.split('_')[0];
+    }
+
+    async stop () {
+        if (this.behavior.stopDelay) await new Promise((resolve) => setTimeout(resolve, this.behavior.stopDelay));
+        this.running = false;
+        this.stopped = true;
+    }
+}
+
+// eslint-disable-next-line no-undef
+describe('Tunnel pool', function () {
+    const tunnelModule = require.resolve('@lambdatest/node-tunnel');
+    const poolModule = require.resolve('../../lib/tunnel-pool');
+    const savedModules = { [tunnelModule]: require.cache[tunnelModule], [poolModule]: require.cache[poolModule] };
+    const savedEnv = {};
+    const warnings = [];
+    const warn = console.warn;
+    const log = console.log;
+
+    let pool;
+
+    const waitForTunnels = async () => {
+        while (!pool.getTunnelStats().every((tunnel) => tunnel.healthy)) await new Promise((resolve) => setTimeout(resolve, 10));
+    };
+
+    // eslint-disable-next-line no-undef
+    before(function () {
+        // A fresh pool, loaded with the fake tunnel process.
+        require.cache[tunnelModule] = { id: tunnelModule, filename: tunnelModule, loaded: true, exports: FakeTunnel };
+        delete require.cache[poolModule];
+        pool = require('../../lib/tunnel-pool');
+
+        for (const [name, value] of Object.entries(ENV)) {
+            savedEnv[name] = process.env[name];
+            process.env[name] = value;
+        }
+        resetConfig();
+    });
+
+    // eslint-disable-next-line no-undef
+    beforeEach(function () {
+        behaviors.length = 0;
+        instances.length = 0;
+        warnings.length = 0;
+        console.warn = (line) => warnings.push(line);
+        console.log = () => {};
+    });
+
+    // eslint-disable-next-line no-undef
+    afterEach(async function () {
+        console.warn = warn;
+        console.log = log;
+        await pool.stopTunnels();
+    });
+
+    // eslint-disable-next-line no-undef
+    after(function () {
+        for (const [name, module] of Object.entries(savedModules)) {
+            if (module) require.cache[name] = module;
+            else delete require.cache[name];
+        }
+        for (const [name, value] of Object.entries(savedEnv)) {
+            if (value === void 0) delete process.env[name];
+            else process.env[name] = value;
+        }
+        resetConfig();
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should assign each session to the tunnel with the fewest active sessions', async function () {
+        expect(await pool.acquireTunnel('a')).eql('TestCafe0');
+        await waitForTunnels();
+        expect(await pool.acquireTunnel('b')).eql('TestCafe1');
+        expect(await pool.acquireTunnel('c')).eql('TestCafe0');
+
+        pool.releaseTunnel('a');
+        pool.releaseTunnel('c');
+        pool.releaseTunnel('c');
+
+        expect(pool.getTunnelStats().map((tunnel) => tunnel.activeSessions)).eql([0, 1]);
+        expect(await pool.acquireTunnel('d')).eql('TestCafe0');
+        expect(pool.getTunnelStats().map((tunnel) => tunnel.totalSessions)).eql([3, 1]);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should skip a tunnel that did not start', async function () {
+        behaviors.push({ error: 'spawn EACCES' }, { delay: 50 });
+
+        expect(await pool.acquireTunnel('a')).eql('TestCafe1');
+        expect(await pool.acquireTunnel('b')).eql('TestCafe1');
+        expect(pool.getTunnelStats().map((tunnel) => tunnel.healthy)).eql([false, true]);
+        expect(warnings.length).eql(1);
+        expect(warnings[0]).contain('Tunnel 0 could not be started');
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should assign sessions as soon as one tunnel is running', async function () {
+        behaviors.push({ delay: 300 }, {});
+
+        const startedAt = Date.now();
+
+        expect(await pool.acquireTunnel('a')).eql('TestCafe1');
+        expect(Date.now() - startedAt).below(300);
+        expect(pool.getTunnelStats().map((tunnel) => tunnel.healthy)).eql([false, true]);
+
+        await waitForTunnels();
+
+        expect(await pool.acquireTunnel('b')).eql('TestCafe0');
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should report why no tunnel started, with the log tail and a hint', async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lt-tunnel-'));
+        const logFile = path.join(dir, 'tunnel.log');
+
+        fs.writeFileSync(logFile, [
+            'starting tunnel',
+            `connecting with key ${ENV.LT_ACCESS_KEY}`,
+            'HTTP 407 Proxy Authentication Required',
+        ].join('\n'));
+        process.env.LT_LOGFILE = logFile;
+        resetConfig();
+        behaviors.push({ error: 'tunnel exited' }, { error: 'tunnel exited' });
+
+        try {
+            let error = null;
+
+            await pool.acquireTunnel('a').catch((err) => {
+                error = err;
+            });
+
+            expect(error.name).eql('TunnelStartError');
+            expect(error.tunnelName).match(/^TestCafe0_jane-/);
+            expect(error.hint).eql('Probably the tunnel could not connect through the proxy. ' +
+                'Check LT_PROXY_HOST, LT_PROXY_PORT, LT_PROXY_USER and LT_PROXY_PASS.');
+            expect(error.logTail).eql(['starting tunnel', 'connecting with key <hidden>', 'HTTP 407 Proxy Authentication Required']);
+            expect(error.message).contain(`Last lines of ${logFile}:\n    starting tunnel`).and.not.contain(ENV.LT_ACCESS_KEY);
+        }
+        finally {
+            delete process.env.LT_LOGFILE;
+            resetConfig();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should give up on a tunnel that is not running within the start timeout', async function () {
+        this.timeout(5000);
+        process.env.LT_TUNNEL_NUMBER = '1';
+        process.env.LT_LOGFILE = 'missing-tunnel.log';
+        resetConfig();
+        behaviors.push({ running: false });
+
+        try {
+            let error = null;
+
+            await pool.acquireTunnel('a').catch((err) => {
+                error = err;
+            });
+
+            expect(error.reason).eql('not running after 1s (LT_TUNNEL_START_TIMEOUT).');
+            expect(error.hint).match(/^Possibly the tunnel could not reach LambdaTest\..*Run with LT_VERBOSE=true/);
+            expect(error.message).contain('The tunnel log missing-tunnel.log is empty or missing.');
+        }
+        finally {
+            process.env.LT_TUNNEL_NUMBER = ENV.LT_TUNNEL_NUMBER;
+            delete process.env.LT_LOGFILE;
+            resetConfig();
+        }
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should not leave a replacement tunnel running once the pool is stopped', async function () {
+        process.env.LT_TUNNEL_NUMBER = '1';
+        resetConfig();
+        behaviors.push({}, { delay: 50 });
+
+        try {
+            await pool.acquireTunnel('a');
+            instances[0].running = false;
+
+            const check = pool.checkTunnelHealth();
+
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            await pool.stopTunnels();
+            await check;
+
+            expect(instances.length).eql(2);
+            expect(instances.map((instance) => [instance.running, instance.stopped])).eql([[false, true], [false, true]]);
+        }
+        finally {
+            process.env.LT_TUNNEL_NUMBER = ENV.LT_TUNNEL_NUMBER;
+            resetConfig();
+        }
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should not start a replacement tunnel once the pool is stopped', async function () {
+        process.env.LT_TUNNEL_NUMBER = '1';
+        resetConfig();
+        behaviors.push({ stopDelay: 50 });
+
+        try {
+            await pool.acquireTunnel('a');
+            instances[0].running = false;
+
+            const check = pool.checkTunnelHealth();
+
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            await pool.stopTunnels();
+            await check;
+
+            expect(instances.length).eql(1);
+            expect(pool.getTunnelStats()).eql([]);
+        }
+        finally {
+            process.env.LT_TUNNEL_NUMBER = ENV.LT_TUNNEL_NUMBER;
+            resetConfig();
+        }
+    });
+});
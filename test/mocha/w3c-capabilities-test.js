@@ -0,0 +1,59 @@
+'use strict';
+const expect = require('chai').expect;
+const { isW3CCapabilities, toW3CCapabilities } = require('../../lib/w3c-capabilities');
+
+// eslint-disable-next-line no-undef
+describe('W3C capabilities', function () {
+    // eslint-disable-next-line no-undef
+    it('Should only use the W3C protocol when asked to', function () {
+        expect(isW3CCapabilities({ browserName: 'Chrome' })).eql(false);
+        expect(isW3CCapabilities({ browserName: 'Chrome', w3c: true })).eql(true);
+        expect(isW3CCapabilities({ browserName: 'Chrome', 'LT:Options': {} })).eql(true);
+        expect(isW3CCapabilities({ 'LT:Options': {}, allowW3C: true, w3cPrefix: 'appium' })).eql(false);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should move LambdaTest keys into LT:Options', function () {
+        expect(toW3CCapabilities({
+            browserName:          'Chrome',
+            version:              '120.0',
+            platform:             'windows 11',
+            build:                'Nightly',
+            tunnelName:           'tunnel-1',
+            'selenium_version':   '4.0.0',
+            'safari.cookies':     true,
+            'goog:chromeOptions': { args: ['--headless'] },
+        })).eql({
+            browserName:          'Chrome',
+            browserVersion:       '120.0',
+            platformName:         'windows 11',
+            'goog:chromeOptions': { args: ['--headless'] },
+            'LT:Options':         {
+                build:            'Nightly',
+                tunnelName:       'tunnel-1',
+                seleniumVersion:  '4.0.0',
+                'safari.cookies': true,
+            },
+        });
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should merge the LT:Options of the capability file deeply', function () {
+        const capabilities = toW3CCapabilities({
+            browserName:  'Chrome',
+            name:         'Run 1',
+            tunnel:       true,
+            'LT:Options': { project: 'Shop', geoLocation: 'US', network: { throttling: 'Regular 3G' }, name: 'Old' },
+            'lt:options': { network: { http2: true } },
+        });
+
+        expect(capabilities['LT:Options']).eql({
+            project:     'Shop',
+            geoLocation: 'US',
+            network:     { throttling: 'Regular 3G', http2: true },
+            name:        'Run 1',
+            tunnel:      true,
+        });
+        expect(capabilities).to.not.have.property('lt:options');
+    });
+});
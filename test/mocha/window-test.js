@@ -0,0 +1,91 @@
+'use strict';
+const expect = require('chai').expect;
+const provider = require('../../lib/index');
+const { canResizeViewport, maximizeCurrentWindow, resizeViewport } = require('../../lib/window');
+
+// A browser whose chrome takes 16x88 pixels, on a 1920x1040 screen. Window commands expect a single handle.
+const createDriver = () => {
+    const driver = {
+        outer:    { width: 1024, height: 768 },
+        commands: [],
+
+        async windowHandle () {
+            return 'CDwindow-1';
+        },
+
+        async windowSize (handle, width, height) {
+            expect(handle).eql('CDwindow-1');
+            driver.commands.push(['windowSize', width, height]);
+            driver.outer = { width, height };
+        },
+
+        async maximize (handle) {
+            expect(handle).eql('CDwindow-1');
+            driver.commands.push(['maximize']);
+        },
+
+        async execute () {
+            return {
+                innerWidth:   driver.outer.width - 16,
+                innerHeight:  driver.outer.height - 88,
+                outerWidth:   driver.outer.width,
+                outerHeight:  driver.outer.height,
+                screenWidth:  1920,
+                screenHeight: 1040,
+            };
+        },
+    };
+
+    return driver;
+};
+
+// eslint-disable-next-line no-undef
+describe('Window management', function () {
+    // eslint-disable-next-line no-undef
+    it('Should resize the viewport, not the window, to the requested size', async function () {
+        const driver = createDriver();
+
+        await resizeViewport(driver, 1280, 720);
+
+        expect(driver.commands).eql([['windowSize', 1296, 808]]);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should check the window, browser chrome included, against the screen', async function () {
+        expect(await canResizeViewport(createDriver(), 1904, 952)).eql(true);
+        expect(await canResizeViewport(createDriver(), 1920, 952)).eql(false);
+        expect(await canResizeViewport(createDriver(), 1280, 1000)).eql(false);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should maximize the current window', async function () {
+        const driver = createDriver();
+
+        await maximizeCurrentWindow(driver);
+
+        expect(driver.commands).eql([['maximize']]);
+    });
+
+    // eslint-disable-next-line no-undef
+    it('Should answer that mobile windows cannot be resized', async function () {
+        const driver = createDriver();
+        const warn = console.warn;
+        const warnings = [];
+
+        provider.openedBrowsers['mobile-1'] = Object.assign(driver, { sessionType: 'real' });
+        console.warn = (line) => warnings.push(line);
+        try {
+            expect(await provider.canResizeWindowToDimensions('mobile-1', 400, 600)).eql(false);
+            await provider.resizeWindow('mobile-1', 400, 600);
+            await provider.maximizeWindow('mobile-1');
+        }
+        finally {
+            console.warn = warn;
+            delete provider.openedBrowsers['mobile-1'];
+        }
+
+        expect(driver.commands).eql([]);
+        expect(warnings.length).eql(3);
+        expect(warnings[0]).contain('Resizing the window is not supported on mobile devices');
+    });
+});